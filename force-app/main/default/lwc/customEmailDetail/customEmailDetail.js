@@ -1,5 +1,6 @@
 import { LightningElement, api, wire } from 'lwc';
 import getEmailDetail from '@salesforce/apex/CalendarController.getEmailDetail';
+import { extractRecordIdFromPath, rememberObjectApiName } from 'c/recordIdUtils';
 
 export default class CustomEmailDetail extends LightningElement {
     @api recordId;
@@ -149,23 +150,8 @@ export default class CustomEmailDetail extends LightningElement {
     }
 
     extractRecordIdFromUrl() {
-        const url = window.location.pathname;
-
-        // Pattern: /event/{recordId}/...
-        const pathSegments = url.split('/');
-        const eventIndex = pathSegments.findIndex(segment =>
-            segment.toLowerCase() === 'emailmessage'
-        );
-
-        if (eventIndex !== -1 && pathSegments.length > eventIndex + 1) {
-            const potentialId = pathSegments[eventIndex + 1];
-            // Validate it looks like a Salesforce ID (18 or 15 characters, alphanumeric)
-            if (/^[a-zA-Z0-9]{15,18}$/.test(potentialId)) {
-                return potentialId;
-            }
-        }
-
-        return null;
+        // Pattern: /emailmessage/{recordId}/...
+        return extractRecordIdFromPath('emailmessage');
     }
 
     get currentRecordId() {
@@ -196,6 +182,8 @@ export default class CustomEmailDetail extends LightningElement {
             console.log('[DEBUG] HtmlBody exists in data:', !!data.HtmlBody);
             console.log('[DEBUG] HtmlBody length:', data.HtmlBody ? data.HtmlBody.length : 0);
             this.emailData = data;
+            // Lets related lists on this page skip the object type lookup for this key prefix
+            rememberObjectApiName(this.currentRecordId, 'EmailMessage');
             this.error = undefined;
             this.htmlRendered = false; // Reset flag to trigger re-render
             console.log('[DEBUG] htmlRendered flag reset to false');
@@ -1,5 +1,6 @@
 import { LightningElement, api, wire } from 'lwc';
 import getEventDetail from '@salesforce/apex/CalendarController.getEventDetail';
+import { extractRecordIdFromPath, rememberObjectApiName } from 'c/recordIdUtils';
 import Id from '@salesforce/user/Id';
 
 export default class CustomEventDetail extends LightningElement {
@@ -21,23 +22,8 @@ export default class CustomEventDetail extends LightningElement {
     }
 
     extractRecordIdFromUrl() {
-        const url = window.location.pathname;
-
         // Pattern: /event/{recordId}/...
-        const pathSegments = url.split('/');
-        const eventIndex = pathSegments.findIndex(segment =>
-            segment.toLowerCase() === 'event'
-        );
-
-        if (eventIndex !== -1 && pathSegments.length > eventIndex + 1) {
-            const potentialId = pathSegments[eventIndex + 1];
-            // Validate it looks like a Salesforce ID (18 or 15 characters, alphanumeric)
-            if (/^[a-zA-Z0-9]{15,18}$/.test(potentialId)) {
-                return potentialId;
-            }
-        }
-
-        return null;
+        return extractRecordIdFromPath('event');
     }
 
     get currentRecordId() {
@@ -64,6 +50,8 @@ export default class CustomEventDetail extends LightningElement {
         if (data) {
             console.log('Event data received:', data);
             this.eventData = data;
+            // Lets related lists on this page skip the object type lookup for this key prefix
+            rememberObjectApiName(this.currentRecordId, 'Event');
             this.error = undefined;
         } else if (error) {
             this.error = error;
@@ -0,0 +1,98 @@
+import {
+    isRecordId,
+    extractRecordIdFromPath,
+    getKnownObjectApiName,
+    rememberObjectApiName
+} from 'c/recordIdUtils';
+
+const ACCOUNT_ID = '001000000000001AAA';
+const CONTACT_ID = '003000000000001AAA';
+
+describe('c-record-id-utils', () => {
+    afterEach(() => {
+        window.sessionStorage.clear();
+        jest.restoreAllMocks();
+    });
+
+    describe('isRecordId', () => {
+        it('accepts 15 and 18 character Ids', () => {
+            expect(isRecordId('001000000000001')).toBe(true);
+            expect(isRecordId(ACCOUNT_ID)).toBe(true);
+        });
+
+        it('rejects other lengths, other characters and non-strings', () => {
+            expect(isRecordId('001000000000001A')).toBe(false);
+            expect(isRecordId('001-00000000001')).toBe(false);
+            expect(isRecordId('')).toBe(false);
+            expect(isRecordId(null)).toBe(false);
+            expect(isRecordId(1234567890123456)).toBe(false);
+        });
+    });
+
+    describe('extractRecordIdFromPath', () => {
+        it('returns the Id after the object segment', () => {
+            expect(extractRecordIdFromPath('event', `/s/event/${ACCOUNT_ID}/team-meeting`)).toBe(ACCOUNT_ID);
+        });
+
+        it('matches the object segment case-insensitively', () => {
+            expect(extractRecordIdFromPath('EmailMessage', `/s/emailmessage/${ACCOUNT_ID}`)).toBe(ACCOUNT_ID);
+        });
+
+        it('returns null when the segment is missing, last or not followed by an Id', () => {
+            expect(extractRecordIdFromPath('event', `/s/case/${ACCOUNT_ID}`)).toBeNull();
+            expect(extractRecordIdFromPath('event', '/s/event')).toBeNull();
+            expect(extractRecordIdFromPath('event', '/s/event/team-meeting')).toBeNull();
+        });
+
+        it('reads the current page path by default', () => {
+            window.history.pushState({}, '', `/s/event/${ACCOUNT_ID}`);
+
+            expect(extractRecordIdFromPath('event')).toBe(ACCOUNT_ID);
+        });
+    });
+
+    describe('key prefix cache', () => {
+        it('returns null for a prefix this session has not seen', () => {
+            expect(getKnownObjectApiName(ACCOUNT_ID)).toBeNull();
+        });
+
+        it('resolves any Id with a remembered prefix', () => {
+            rememberObjectApiName(ACCOUNT_ID, 'Account');
+
+            expect(getKnownObjectApiName('001000000000002BBB')).toBe('Account');
+            expect(getKnownObjectApiName(CONTACT_ID)).toBeNull();
+        });
+
+        it('keeps every remembered prefix in sessionStorage', () => {
+            rememberObjectApiName(ACCOUNT_ID, 'Account');
+            rememberObjectApiName(CONTACT_ID, 'Contact');
+
+            expect(JSON.parse(window.sessionStorage.getItem('recordIdUtils.keyPrefixes'))).toEqual({
+                '001': 'Account',
+                '003': 'Contact'
+            });
+        });
+
+        it('ignores invalid Ids and missing object names', () => {
+            rememberObjectApiName('not-an-id', 'Account');
+            rememberObjectApiName(ACCOUNT_ID, null);
+
+            expect(window.sessionStorage.getItem('recordIdUtils.keyPrefixes')).toBeNull();
+            expect(getKnownObjectApiName('not-an-id')).toBeNull();
+        });
+
+        it('treats unreadable storage as an empty cache', () => {
+            window.sessionStorage.setItem('recordIdUtils.keyPrefixes', '{not json');
+
+            expect(getKnownObjectApiName(ACCOUNT_ID)).toBeNull();
+        });
+
+        it('does not throw when storage is full', () => {
+            jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+                throw new Error('QuotaExceededError');
+            });
+
+            expect(() => rememberObjectApiName(ACCOUNT_ID, 'Account')).not.toThrow();
+        });
+    });
+});
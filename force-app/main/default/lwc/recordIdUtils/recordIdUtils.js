@@ -0,0 +1,72 @@
+/**
+ * Record Id helpers for components that start from a bare record Id - reading
+ * the Id from a site URL and resolving its object type without a server call.
+ *
+ * The first three characters of a record Id are the key prefix of its object.
+ * Every prefix that is resolved once (by the server or by a component that
+ * knows its own object) is kept in sessionStorage, so later pages can look the
+ * object type up locally.
+ */
+
+const KEY_PREFIX_STORAGE_KEY = 'recordIdUtils.keyPrefixes';
+
+const RECORD_ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+
+// ===== RECORD IDS =====
+
+export function isRecordId(value) {
+    return typeof value === 'string' && RECORD_ID_PATTERN.test(value);
+}
+
+// Site detail pages put the Id after the object's path segment, e.g. /event/{recordId}/...
+export function extractRecordIdFromPath(objectSegment, pathname = window.location.pathname) {
+    const pathSegments = pathname.split('/');
+    const segmentIndex = pathSegments.findIndex(segment =>
+        segment.toLowerCase() === objectSegment.toLowerCase()
+    );
+
+    if (segmentIndex !== -1 && pathSegments.length > segmentIndex + 1) {
+        const potentialId = pathSegments[segmentIndex + 1];
+        if (isRecordId(potentialId)) {
+            return potentialId;
+        }
+    }
+
+    return null;
+}
+
+// ===== OBJECT TYPES =====
+
+function readKeyPrefixes() {
+    try {
+        return JSON.parse(window.sessionStorage.getItem(KEY_PREFIX_STORAGE_KEY)) || {};
+    } catch {
+        // Storage unavailable or unreadable - the object type comes from the server instead
+        return {};
+    }
+}
+
+// Object API name for the Id's key prefix, or null when this session hasn't seen the prefix yet
+export function getKnownObjectApiName(recordId) {
+    if (!isRecordId(recordId)) {
+        return null;
+    }
+    return readKeyPrefixes()[recordId.substring(0, 3)] || null;
+}
+
+export function rememberObjectApiName(recordId, objectApiName) {
+    if (!isRecordId(recordId) || !objectApiName) {
+        return;
+    }
+    const keyPrefixes = readKeyPrefixes();
+    const keyPrefix = recordId.substring(0, 3);
+    if (keyPrefixes[keyPrefix] === objectApiName) {
+        return;
+    }
+    keyPrefixes[keyPrefix] = objectApiName;
+    try {
+        window.sessionStorage.setItem(KEY_PREFIX_STORAGE_KEY, JSON.stringify(keyPrefixes));
+    } catch {
+        // Quota or private browsing - the next page just asks the server again
+    }
+}
@@ -0,0 +1,48 @@
+import LightningDatatable from 'lightning/datatable';
+import formattedCellTemplate from './formattedCell.html';
+import formattedCellEditTemplate from './formattedCellEdit.html';
+
+/**
+ * lightning-datatable with the cell types relatedListLWR needs on top of the standard ones.
+ *
+ * formatted - renders a value like its column's own type (typeAttributes.baseType) with the
+ * text colour, background, icon or badge of the formatting rule that matched the cell
+ * (typeAttributes.format, usually { fieldName } so each row brings its own). Besides the standard types,
+ * baseType can be picklist (coloured badges), lookup (related name linked to typeAttributes.url, with an
+ * optional avatar), richText (sanitized HTML or an image formula) or percentBar (progress bar).
+ *
+ * Editable formatted columns edit in a lightning-input of typeAttributes.editType (with editFormatter and
+ * editStep), or in a combobox when typeAttributes.editOptions lists the choices.
+ */
+export default class RelatedListDatatable extends LightningDatatable {
+    static customTypes = {
+        formatted: {
+            template: formattedCellTemplate,
+            editTemplate: formattedCellEditTemplate,
+            standardCellLayout: true,
+            typeAttributes: [
+                'baseType',
+                'format',
+                'label',
+                'target',
+                'url',
+                'avatarUrl',
+                'showAvatar',
+                'picklistValues',
+                'editType',
+                'editFormatter',
+                'editStep',
+                'editOptions',
+                'currencyCode',
+                'minimumFractionDigits',
+                'maximumFractionDigits',
+                'year',
+                'month',
+                'day',
+                'hour',
+                'minute',
+                'timeZone'
+            ]
+        }
+    };
+}
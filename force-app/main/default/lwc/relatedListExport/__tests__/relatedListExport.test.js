@@ -0,0 +1,146 @@
+import { buildCsv, buildXlsx, downloadCsv } from 'c/relatedListExport';
+import { TextDecoder, TextEncoder } from 'util';
+
+// jsdom doesn't provide the encoders the XLSX zip is built with
+global.TextEncoder = TextEncoder;
+
+// The zip is stored uncompressed, so the XML parts can be read straight from its bytes
+function readXlsx(columns, rows, sheetName) {
+    return new TextDecoder().decode(buildXlsx(columns, rows, sheetName));
+}
+
+describe('c-related-list-export', () => {
+    describe('buildCsv', () => {
+        it('starts with a byte order mark and separates lines with CRLF', () => {
+            const csv = buildCsv([{ label: 'Name', type: 'string' }], [['Acme'], ['Globex']]);
+
+            expect(csv).toBe('\uFEFFName\r\nAcme\r\nGlobex');
+        });
+
+        it('quotes values containing commas, quotes or line breaks', () => {
+            const columns = [
+                { label: 'A', type: 'string' },
+                { label: 'B', type: 'string' },
+                { label: 'C', type: 'string' }
+            ];
+            const csv = buildCsv(columns, [['Smith, John', 'Say "hi"', 'Line 1\nLine 2']]);
+
+            expect(csv.split('\r\n')[1]).toBe('"Smith, John","Say ""hi""","Line 1\nLine 2"');
+        });
+
+        it('writes null and undefined as empty cells', () => {
+            const columns = [
+                { label: 'A', type: 'string' },
+                { label: 'B', type: 'string' }
+            ];
+
+            expect(buildCsv(columns, [[null, undefined]]).split('\r\n')[1]).toBe(',');
+        });
+
+        it('prefixes text that a spreadsheet would run as a formula', () => {
+            const columns = ['=', '+', '-', '@'].map(label => ({ label: label, type: 'string' }));
+            const csv = buildCsv(columns, [['=SUM(A1:A2)', '+1', '-2', '@cmd']]);
+
+            expect(csv.split('\r\n')).toEqual(["\uFEFF'=,'+,'-,'@", "'=SUM(A1:A2),'+1,'-2,'@cmd"]);
+        });
+
+        it('prefixes text starting with a tab or carriage return', () => {
+            const columns = [
+                { label: 'A', type: 'string' },
+                { label: 'B', type: 'string' }
+            ];
+            const csv = buildCsv(columns, [['\t=1+1', '\r=1+1']]);
+
+            expect(csv.split('\r\n')[1]).toBe('\'\t=1+1,"\'\r=1+1"');
+        });
+
+        it('quotes a neutralized formula that also needs quoting', () => {
+            const csv = buildCsv([{ label: 'A', type: 'string' }], [['=HYPERLINK("x","y")']]);
+
+            expect(csv.split('\r\n')[1]).toBe('"\'=HYPERLINK(""x"",""y"")"');
+        });
+
+        it('leaves negative numbers in number columns alone', () => {
+            const columns = [
+                { label: 'Amount', type: 'number' },
+                { label: 'Text', type: 'number' }
+            ];
+
+            expect(buildCsv(columns, [[-12.5, '-abc']]).split('\r\n')[1]).toBe("-12.5,'-abc");
+        });
+    });
+
+    describe('buildXlsx', () => {
+        it('escapes XML characters in text cells', () => {
+            const xml = readXlsx([{ label: 'Name', type: 'string' }], [['<b>Tom & "Jerry"</b>']]);
+
+            expect(xml).toContain('&lt;b&gt;Tom &amp; &quot;Jerry&quot;&lt;/b&gt;');
+            expect(xml).not.toContain('<b>Tom');
+        });
+
+        it('drops control characters that XML does not allow', () => {
+            const xml = readXlsx([{ label: 'Name', type: 'string' }], [['Bell\u0007 and\ttab']]);
+
+            expect(xml).toContain('Bell and\ttab');
+        });
+
+        it('escapes the sheet name and removes characters Excel does not allow in it', () => {
+            const xml = readXlsx([{ label: 'Name', type: 'string' }], [], 'R&D/Accounts');
+
+            expect(xml).toContain('<sheet name="R&amp;D Accounts"');
+        });
+
+        it('names cells with column letters past Z', () => {
+            const columns = Array.from({ length: 53 }, (value, index) => ({ label: `Column ${index}`, type: 'string' }));
+            const xml = readXlsx(columns, []);
+
+            expect(xml).toContain('<c r="A1"');
+            expect(xml).toContain('<c r="Z1"');
+            expect(xml).toContain('<c r="AA1"');
+            expect(xml).toContain('<c r="AZ1"');
+            expect(xml).toContain('<c r="BA1"');
+        });
+
+        it('writes numbers, booleans and dates as typed cells', () => {
+            const columns = [
+                { label: 'Amount', type: 'number' },
+                { label: 'Active', type: 'boolean' },
+                { label: 'Close Date', type: 'date' }
+            ];
+            const xml = readXlsx(columns, [[42, true, '2024-01-01']]);
+
+            expect(xml).toContain('<c r="A2"><v>42</v></c>');
+            expect(xml).toContain('<c r="B2" t="b"><v>1</v></c>');
+            expect(xml).toContain('<c r="C2" s="1"><v>45292</v></c>');
+        });
+    });
+
+    describe('downloadCsv', () => {
+        afterEach(() => {
+            delete URL.createObjectURL;
+            delete URL.revokeObjectURL;
+            jest.useRealTimers();
+        });
+
+        it('downloads the file through a Blob URL', () => {
+            jest.useFakeTimers();
+            URL.createObjectURL = jest.fn(() => 'blob:export');
+            URL.revokeObjectURL = jest.fn();
+            const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+            downloadCsv('Contacts', [{ label: 'Name', type: 'string' }], [['Acme']]);
+
+            const blob = URL.createObjectURL.mock.calls[0][0];
+            expect(blob).toBeInstanceOf(Blob);
+            expect(blob.type).toBe('text/csv;charset=utf-8');
+            expect(clickSpy).toHaveBeenCalledTimes(1);
+            expect(clickSpy.mock.instances[0].download).toBe('Contacts.csv');
+            expect(clickSpy.mock.instances[0].href).toBe('blob:export');
+            expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+            jest.runAllTimers();
+            expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+            clickSpy.mockRestore();
+        });
+    });
+});
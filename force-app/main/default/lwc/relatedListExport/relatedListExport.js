@@ -0,0 +1,294 @@
+/**
+ * Export helpers for relatedListLWR - builds CSV and XLSX files from column
+ * definitions and row values and hands them to the browser as downloads.
+ *
+ * Columns are { label, type } where type is one of 'string', 'number',
+ * 'boolean', 'date' or 'datetime'. Rows are arrays of raw values in column order.
+ */
+
+const CSV_MIME_TYPE = 'text/csv;charset=utf-8';
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Excel counts days from 1899-12-30 (it keeps the 1900 leap year bug)
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 86400000;
+
+// Style indexes from buildStylesXml: 1 = date, 2 = date and time
+const XLSX_DATE_STYLE = 1;
+const XLSX_DATETIME_STYLE = 2;
+
+// Spreadsheets run text starting with these as a formula
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+// ===== CSV =====
+
+function escapeCsvValue(value, type) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    // A leading quote makes the spreadsheet show record text as text instead of running it;
+    // numbers are left alone so negative values stay numeric
+    const isNumber = type === 'number' && text !== '' && Number.isFinite(Number(text));
+    if (!isNumber && CSV_FORMULA_PATTERN.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
+
+export function buildCsv(columns, rows) {
+    const lines = [columns.map(column => escapeCsvValue(column.label)).join(',')];
+    rows.forEach(row => {
+        lines.push(row.map((value, index) => escapeCsvValue(value, columns[index]?.type)).join(','));
+    });
+    // Byte order mark so Excel opens the file as UTF-8
+    return '\uFEFF' + lines.join('\r\n');
+}
+
+// ===== XLSX =====
+
+// Control characters other than tab and newlines are not allowed in XML
+function isAllowedXmlChar(char) {
+    const code = char.charCodeAt(0);
+    return code >= 0x20 || code === 0x09 || code === 0x0A || code === 0x0D;
+}
+
+function escapeXml(value) {
+    return Array.from(String(value))
+        .filter(isAllowedXmlChar)
+        .join('')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function getColumnLetter(index) {
+    let letter = '';
+    let remaining = index + 1;
+    while (remaining > 0) {
+        const mod = (remaining - 1) % 26;
+        letter = String.fromCharCode(65 + mod) + letter;
+        remaining = Math.floor((remaining - 1) / 26);
+    }
+    return letter;
+}
+
+function toExcelSerial(value, type) {
+    // Date-only values are calendar dates, so read them as UTC to avoid shifting a day
+    const time = type === 'date' ? Date.parse(`${String(value).substring(0, 10)}T00:00:00Z`) : Date.parse(value);
+    if (Number.isNaN(time)) {
+        return null;
+    }
+    return (time - EXCEL_EPOCH_MS) / MS_PER_DAY;
+}
+
+function buildCellXml(value, type, reference) {
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+
+    if (type === 'number' && value !== '' && Number.isFinite(Number(value))) {
+        return `<c r="${reference}"><v>${Number(value)}</v></c>`;
+    }
+    if (type === 'boolean') {
+        return `<c r="${reference}" t="b"><v>${value === true || value === 'true' ? 1 : 0}</v></c>`;
+    }
+    if (type === 'date' || type === 'datetime') {
+        const serial = toExcelSerial(value, type);
+        if (serial !== null) {
+            const style = type === 'date' ? XLSX_DATE_STYLE : XLSX_DATETIME_STYLE;
+            return `<c r="${reference}" s="${style}"><v>${serial}</v></c>`;
+        }
+    }
+    return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function buildSheetXml(columns, rows) {
+    const headerCells = columns
+        .map((column, index) => buildCellXml(column.label, 'string', `${getColumnLetter(index)}1`))
+        .join('');
+
+    const dataRows = rows.map((row, rowIndex) => {
+        const rowNumber = rowIndex + 2;
+        const cells = row
+            .map((value, index) => buildCellXml(value, columns[index]?.type, `${getColumnLetter(index)}${rowNumber}`))
+            .join('');
+        return `<row r="${rowNumber}">${cells}</row>`;
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetData>' +
+        `<row r="1">${headerCells}</row>` +
+        dataRows.join('') +
+        '</sheetData>' +
+        '</worksheet>';
+}
+
+function buildStylesXml() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="3">' +
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '</cellXfs>' +
+        '</styleSheet>';
+}
+
+function buildXlsxParts(columns, rows, sheetName) {
+    const safeSheetName = escapeXml(String(sheetName || 'Sheet1').replace(/[\\/?*[\]:]/g, ' ').substring(0, 31));
+
+    return [
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>'
+        },
+        { name: 'xl/worksheets/sheet1.xml', content: buildSheetXml(columns, rows) },
+        { name: 'xl/styles.xml', content: buildStylesXml() }
+    ];
+}
+
+// ===== ZIP (stored, uncompressed) =====
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        const localHeader = new DataView(new ArrayBuffer(30));
+        localHeader.setUint32(0, 0x04034b50, true); // local file header signature
+        localHeader.setUint16(4, 20, true);         // version needed to extract
+        localHeader.setUint16(6, 0x0800, true);     // UTF-8 file names
+        localHeader.setUint16(8, 0, true);          // stored, no compression
+        localHeader.setUint32(14, crc, true);
+        localHeader.setUint32(18, data.length, true);
+        localHeader.setUint32(22, data.length, true);
+        localHeader.setUint16(26, nameBytes.length, true);
+
+        const centralHeader = new DataView(new ArrayBuffer(46));
+        centralHeader.setUint32(0, 0x02014b50, true); // central directory signature
+        centralHeader.setUint16(4, 20, true);         // version made by
+        centralHeader.setUint16(6, 20, true);         // version needed to extract
+        centralHeader.setUint16(8, 0x0800, true);
+        centralHeader.setUint16(10, 0, true);
+        centralHeader.setUint32(16, crc, true);
+        centralHeader.setUint32(20, data.length, true);
+        centralHeader.setUint32(24, data.length, true);
+        centralHeader.setUint16(28, nameBytes.length, true);
+        centralHeader.setUint32(42, offset, true);    // offset of the local header
+
+        localParts.push(new Uint8Array(localHeader.buffer), nameBytes, data);
+        centralParts.push(new Uint8Array(centralHeader.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const endRecord = new DataView(new ArrayBuffer(22));
+    endRecord.setUint32(0, 0x06054b50, true); // end of central directory signature
+    endRecord.setUint16(8, files.length, true);
+    endRecord.setUint16(10, files.length, true);
+    endRecord.setUint32(12, centralSize, true);
+    endRecord.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(endRecord.buffer)];
+    const zip = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+export function buildXlsx(columns, rows, sheetName) {
+    return buildZip(buildXlsxParts(columns, rows, sheetName));
+}
+
+// ===== DOWNLOAD =====
+
+// A Blob URL keeps large exports out of the page's URL length limits
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Revoked once the click has been handled - revoking straight away can cancel the download
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadCsv(fileName, columns, rows) {
+    downloadBlob(new Blob([buildCsv(columns, rows)], { type: CSV_MIME_TYPE }), `${fileName}.csv`);
+}
+
+export function downloadXlsx(fileName, columns, rows) {
+    downloadBlob(new Blob([buildXlsx(columns, rows, fileName)], { type: XLSX_MIME_TYPE }), `${fileName}.xlsx`);
+}
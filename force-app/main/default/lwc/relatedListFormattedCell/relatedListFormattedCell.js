@@ -0,0 +1,193 @@
+import { LightningElement, api } from 'lwc';
+
+const NUMBER_TYPES = ['number', 'currency', 'percent'];
+const CUSTOM_TYPES = ['picklist', 'lookup', 'richText', 'percentBar'];
+
+// Picklist badge colours, picked by the value's position in the picklist so each value keeps its colour
+const BADGE_COLORS = [
+    { background: '#d8edff', color: '#0b5cab' },
+    { background: '#cdefc4', color: '#2e844a' },
+    { background: '#fef1cd', color: '#8c4b02' },
+    { background: '#fddde3', color: '#ba0517' },
+    { background: '#ece1f9', color: '#7526e3' },
+    { background: '#c3f5f0', color: '#056764' },
+    { background: '#ffdfd0', color: '#a33f00' },
+    { background: '#e5e5e5', color: '#3e3e3c' }
+];
+
+// Image formulas are shown as an image only when their source is a web or site-relative URL
+const IMAGE_SOURCE_PATTERN = /^(https?:\/\/|\/)/i;
+
+/**
+ * Content of a relatedListDatatable formatted cell. typeAttributes.format is
+ * { style, iconName, badge } as built by relatedListLWR from the matching formatting rules.
+ */
+export default class RelatedListFormattedCell extends LightningElement {
+    @api value;
+    @api typeAttributes;
+
+    // Parsed image formula, kept until the value changes
+    _imageValue;
+    _image = null;
+
+    get attributes() {
+        return this.typeAttributes || {};
+    }
+
+    get format() {
+        return this.attributes.format || {};
+    }
+
+    get baseType() {
+        return this.attributes.baseType || 'text';
+    }
+
+    get hasValue() {
+        return this.value != null && this.value !== '';
+    }
+
+    get isUrl() {
+        return this.baseType === 'url';
+    }
+
+    get isEmail() {
+        return this.baseType === 'email';
+    }
+
+    get isPhone() {
+        return this.baseType === 'phone';
+    }
+
+    get isNumber() {
+        return NUMBER_TYPES.includes(this.baseType);
+    }
+
+    get isDateTime() {
+        return this.baseType === 'date' || this.baseType === 'date-local';
+    }
+
+    get isBoolean() {
+        return this.baseType === 'boolean';
+    }
+
+    get isPicklist() {
+        return this.baseType === 'picklist';
+    }
+
+    get isLookup() {
+        return this.baseType === 'lookup';
+    }
+
+    get isRichText() {
+        return this.baseType === 'richText';
+    }
+
+    get isPercentBar() {
+        return this.baseType === 'percentBar';
+    }
+
+    get isText() {
+        return !this.isUrl && !this.isEmail && !this.isPhone && !this.isNumber && !this.isDateTime && !this.isBoolean &&
+            !CUSTOM_TYPES.includes(this.baseType);
+    }
+
+    get isChecked() {
+        return this.value === true || this.value === 'true';
+    }
+
+    get urlLabel() {
+        return this.attributes.label || this.value;
+    }
+
+    get numberStyle() {
+        return this.baseType === 'number' ? 'decimal' : this.baseType;
+    }
+
+    // Date-only values are midnight UTC - formatting them in the user's zone could show the day before
+    get dateTimeZone() {
+        return this.baseType === 'date-local' ? 'UTC' : this.attributes.timeZone;
+    }
+
+    // Multi-select picklists get a badge per value
+    get badges() {
+        const definedValues = this.attributes.picklistValues || [];
+        return String(this.value)
+            .split(';')
+            .filter(item => item !== '')
+            .map(item => {
+                const position = definedValues.indexOf(item);
+                const color = BADGE_COLORS[(position >= 0 ? position : this.hashValue(item)) % BADGE_COLORS.length];
+                return {
+                    key: item,
+                    label: item,
+                    style: `background-color: ${color.background}; color: ${color.color}; ${this.contentStyle}`
+                };
+            });
+    }
+
+    // Values no longer in the picklist still get a stable colour
+    hashValue(text) {
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = (hash * 31 + text.charCodeAt(i)) % 1000003;
+        }
+        return hash;
+    }
+
+    get lookupLabel() {
+        return this.attributes.label || this.value;
+    }
+
+    get showAvatar() {
+        return this.attributes.showAvatar === true;
+    }
+
+    get avatarInitials() {
+        return String(this.lookupLabel)
+            .split(/\s+/)
+            .filter(part => part !== '')
+            .slice(0, 2)
+            .map(part => part.charAt(0).toUpperCase())
+            .join('');
+    }
+
+    // An image formula (a lone <img>) renders as an image sized to the row, anything else as sanitized rich text
+    get image() {
+        if (this.value !== this._imageValue) {
+            this._imageValue = this.value;
+            this._image = this.parseImage(this.value);
+        }
+        return this._image;
+    }
+
+    parseImage(html) {
+        if (typeof html !== 'string' || !html.includes('<img')) {
+            return null;
+        }
+        const body = new DOMParser().parseFromString(html, 'text/html').body;
+        const element = body.children.length === 1 ? body.children[0] : null;
+        const source = element?.tagName === 'IMG' ? element.getAttribute('src') : null;
+        if (!source || !IMAGE_SOURCE_PATTERN.test(source) || body.textContent.trim() !== '') {
+            return null;
+        }
+        return { src: source, alt: element.getAttribute('alt') || '' };
+    }
+
+    // Percent values arrive as fractions (0.25), the progress bar takes 0 - 100
+    get progressValue() {
+        const percent = Number(this.value) * 100;
+        return Number.isNaN(percent) ? 0 : Math.min(Math.max(percent, 0), 100);
+    }
+
+    get contentClass() {
+        return this.format.badge ? 'formatted-cell-content slds-badge' : 'formatted-cell-content';
+    }
+
+    get contentStyle() {
+        return this.format.style || '';
+    }
+
+    get iconName() {
+        return this.format.iconName;
+    }
+}
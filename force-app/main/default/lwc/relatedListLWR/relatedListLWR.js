@@ -1,14 +1,211 @@
-import { LightningElement, api, track } from 'lwc';
+import { LightningElement, api, track, wire } from 'lwc';
 import { NavigationMixin } from 'lightning/navigation';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import LOCALE from '@salesforce/i18n/locale';
+import TIMEZONE from '@salesforce/i18n/timeZone';
+import CURRENCY from '@salesforce/i18n/currency';
+import FORM_FACTOR from '@salesforce/client/formFactor';
+import { subscribe, unsubscribe, onError } from 'lightning/empApi';
+import {
+    publish,
+    subscribe as subscribeToMessages,
+    unsubscribe as unsubscribeFromMessages,
+    MessageContext,
+    APPLICATION_SCOPE
+} from 'lightning/messageService';
+import RELATED_LIST_CHANNEL from '@salesforce/messageChannel/RelatedListLWR__c';
 import getRelatedListInfo from '@salesforce/apex/RelatedListLWRController.getRelatedListInfo';
-import getObjectTypeFromRecordId from '@salesforce/apex/RelatedListLWRController.getObjectTypeFromRecordId';
 import getCaseArticles from '@salesforce/apex/RelatedListLWRController.getCaseArticles';
 import getFiles from '@salesforce/apex/RelatedListLWRController.getFiles';
 import getImageAsBase64 from '@salesforce/apex/RelatedListLWRController.getImageAsBase64';
 import canDeleteObject from '@salesforce/apex/RelatedListLWRController.canDeleteObject';
 import deleteRecord from '@salesforce/apex/RelatedListLWRController.deleteRecord';
+import deleteRecords from '@salesforce/apex/RelatedListLWRController.deleteRecords';
+import { downloadCsv, downloadXlsx } from 'c/relatedListExport';
+import { getKnownObjectApiName, isRecordId, rememberObjectApiName } from 'c/recordIdUtils';
+import updateRelatedRecords from '@salesforce/apex/RelatedListLWRController.updateRelatedRecords';
+import getNewRecordInfo from '@salesforce/apex/RelatedListLWRController.getNewRecordInfo';
+import getRelatedRecordsById from '@salesforce/apex/RelatedListLWRController.getRelatedRecordsById';
+import getListRecordsById from '@salesforce/apex/RelatedListLWRController.getListRecordsById';
+import getRecordAccess from '@salesforce/apex/RelatedListLWRController.getRecordAccess';
+import getRelatedListAggregates from '@salesforce/apex/RelatedListLWRController.getRelatedListAggregates';
 import getActivity from '@salesforce/apex/RelatedListLWRController.getEmailActivity';
+import getActivityHistory from '@salesforce/apex/RelatedListLWRController.getActivityHistory';
+import completeTask from '@salesforce/apex/RelatedListLWRController.completeTask';
+
+// Delay between the last keystroke in the search box and filtering the list
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Field types lightning-datatable can edit in place - lookups and multi-select picklists stay read-only
+const EDITABLE_FIELD_TYPES = ['STRING', 'TEXTAREA', 'EMAIL', 'PHONE', 'URL', 'PICKLIST', 'CURRENCY', 'PERCENT', 'DOUBLE', 'INTEGER', 'DATE', 'DATETIME', 'BOOLEAN'];
+
+// Server page size used when export has to fetch the rest of the list
+const EXPORT_PAGE_SIZE = 200;
+
+// Clicks on these inside a table row belong to the control, not the row
+const ROW_CLICK_CONTROL_TAGS = ['A', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA'];
+
+// Input each datatable type edits in when its column renders through relatedListDatatable's formatted type
+const FORMATTED_EDIT_INPUTS = {
+    text: { editType: 'text' },
+    email: { editType: 'email' },
+    phone: { editType: 'tel' },
+    url: { editType: 'url' },
+    number: { editType: 'number', editStep: 'any' },
+    currency: { editType: 'number', editFormatter: 'currency', editStep: 'any' },
+    // Rows hold percents as fractions, as the stock percent type edits them
+    percent: { editType: 'number', editFormatter: 'percent', editStep: 'any' },
+    'date-local': { editType: 'date' },
+    date: { editType: 'datetime' }
+};
+const BOOLEAN_EDIT_OPTIONS = [
+    { label: 'True', value: 'true' },
+    { label: 'False', value: 'false' }
+];
+
+// Export cell type for each Salesforce field type - anything else is exported as text
+const EXPORT_VALUE_TYPES = {
+    CURRENCY: 'number',
+    DOUBLE: 'number',
+    INTEGER: 'number',
+    LONG: 'number',
+    PERCENT: 'number',
+    BOOLEAN: 'boolean',
+    DATE: 'date',
+    DATETIME: 'datetime'
+};
+
+// Month style for each configurable date format
+const DATE_FORMAT_MONTHS = {
+    numeric: 'numeric',
+    medium: 'short',
+    long: 'long'
+};
+
+// Field types sorted as numbers and as dates rather than by their display text
+const NUMERIC_SORT_TYPES = ['CURRENCY', 'DOUBLE', 'INTEGER', 'LONG', 'PERCENT', 'number', 'currency', 'percent'];
+const DATE_SORT_TYPES = ['DATE', 'DATETIME', 'date', 'date-local'];
+
+// localStorage key prefix for the sort each list instance was last left in
+const SORT_STORAGE_PREFIX = 'relatedListLWR.sort.';
+
+// sessionStorage key prefix for the cached first page of each list
+const LIST_CACHE_PREFIX = 'relatedListLWR.cache.';
+const DEFAULT_CACHE_TTL_MINUTES = 5;
+const LIST_CACHE_MAX_ENTRIES = 20;
+
+// Default labels for the summary totals, e.g. "Sum of Amount"
+const AGGREGATE_LABELS = {
+    sum: 'Sum of',
+    avg: 'Average',
+    min: 'Min',
+    max: 'Max',
+    count: 'Count of'
+};
+
+// EmailMessage.Status picklist values
+const EMAIL_STATUS_LABELS = {
+    '0': 'New',
+    '1': 'Read',
+    '2': 'Replied',
+    '3': 'Sent',
+    '4': 'Forwarded',
+    '5': 'Draft'
+};
+
+// Columns the emails list can show, keyed by the names stored in emailColumns
+const EMAIL_COLUMNS = {
+    subject: { label: 'Subject', fieldName: 'Subject', fieldType: 'STRING' },
+    from: { label: 'From', fieldName: 'fromText', fieldType: 'STRING' },
+    to: { label: 'To', fieldName: 'ToAddress', fieldType: 'STRING' },
+    status: { label: 'Status', fieldName: 'statusText', fieldType: 'STRING' },
+    messageDate: { label: 'Message Date', fieldName: 'MessageDate', type: 'date', fieldType: 'DATETIME' },
+    hasAttachment: { label: 'Has Attachment', fieldName: 'HasAttachment', type: 'boolean', fieldType: 'BOOLEAN' },
+    direction: { label: 'Direction', fieldName: 'directionText', fieldType: 'STRING' },
+    isOpened: { label: 'Opened?', fieldName: 'IsOpened', type: 'boolean', fieldType: 'BOOLEAN' }
+};
+const DEFAULT_EMAIL_COLUMNS = ['subject', 'status', 'isOpened', 'messageDate'];
+
+// Formatting rules - row key holding a cell's format, and what a rule's colours and icon may look like
+const FORMAT_FIELD_PREFIX = '_format_';
+const CSS_COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]+|rgba?\([\d\s.,%]+\))$/i;
+const ICON_NAME_PATTERN = /^[a-z]+:[a-z0-9_]+$/;
+const DATE_VALUE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+// Custom cell types - row keys holding a lookup's related name, link and photo
+const LOOKUP_NAME_PREFIX = '_name_';
+const LOOKUP_URL_PREFIX = '_url_';
+const LOOKUP_PHOTO_PREFIX = '_photo_';
+const HTML_TAG_PATTERN = /<[^>]*>/g;
+
+// Record page URL placeholder for the object a record belongs to, e.g. /:objectApiName/:recordId
+const OBJECT_PLACEHOLDER_PATTERN = /:objectApiName|\{objectApiName\}/;
+
+// Column type overrides - the field type a column is shown as and/or the custom cell it renders with
+const COLUMN_TYPE_OVERRIDES = {
+    text: { fieldType: 'STRING' },
+    url: { fieldType: 'URL' },
+    email: { fieldType: 'EMAIL' },
+    phone: { fieldType: 'PHONE' },
+    number: { fieldType: 'DOUBLE' },
+    currency: { fieldType: 'CURRENCY' },
+    percent: { fieldType: 'PERCENT' },
+    date: { fieldType: 'DATE' },
+    datetime: { fieldType: 'DATETIME' },
+    boolean: { fieldType: 'BOOLEAN' },
+    badge: { cellType: 'picklist' },
+    progressBar: { fieldType: 'PERCENT', cellType: 'percentBar' },
+    richText: { cellType: 'richText' }
+};
+const COLUMN_ALIGNMENTS = ['left', 'center', 'right'];
+
+// Label and icon for each activity type returned by getActivityHistory
+const ACTIVITY_TYPES = {
+    Task: { label: 'Task', iconName: 'standard:task' },
+    Call: { label: 'Call', iconName: 'standard:log_a_call' },
+    Event: { label: 'Event', iconName: 'standard:event' },
+    Email: { label: 'Email', iconName: 'standard:email' }
+};
+
+// Timeline icon for each kind of record - rows can also bring their own timelineIcon
+const TIMELINE_ICONS = {
+    Task: 'standard:task',
+    Event: 'standard:event',
+    EmailMessage: 'standard:email',
+    CaseComment: 'standard:case_comment',
+    Note: 'standard:note',
+    ContentNote: 'standard:note'
+};
+const DEFAULT_TIMELINE_ICON = 'standard:record';
+
+// localStorage key prefix for the groups each list instance has collapsed
+const GROUP_STORAGE_PREFIX = 'relatedListLWR.groups.';
+
+// File properties the files grid can be grouped by
+const FILE_GROUP_BY_FIELDS = ['fileExtension', 'createdBy'];
+
+// Icon and required record access for each configurable row action type
+const ROW_ACTION_TYPES = {
+    edit: { iconName: 'utility:edit', access: 'canEdit' },
+    view: { iconName: 'utility:preview' },
+    clone: { iconName: 'utility:copy', access: 'canCreate' },
+    url: { iconName: 'utility:link' },
+    flow: { iconName: 'utility:flow' }
+};
+
+// lightning-input type used to enter a mass update value for each Salesforce field type
+const MASS_UPDATE_INPUT_TYPES = {
+    BOOLEAN: 'checkbox',
+    CURRENCY: 'number',
+    DOUBLE: 'number',
+    INTEGER: 'number',
+    PERCENT: 'number',
+    DATE: 'date',
+    DATETIME: 'datetime',
+    EMAIL: 'email',
+    PHONE: 'tel',
+    URL: 'url'
+};
 
 /**
  * @slot iconSlot
@@ -39,10 +236,17 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
     hasData = false;
     hasMoreRecords = false;
     serverHasMoreRecords = false; // Track if server told us there are more records
+    totalRecordCount = null; // Total related records reported by the server (null when unknown)
     currentOffset = 0;
     detectedObjectType = null;
     sortedBy = '';
     sortDirection = 'asc';
+    isMultiCurrency = false; // Currency columns use each row's CurrencyIsoCode
+    // Multi-column sort - [{ fieldName, fieldApiName, direction }], the first entry is the one the datatable shows
+    sortCriteria = [];
+    _sortDefaultsKey = null;
+    _isShiftSort = false;
+    _sortCollator = new Intl.Collator(LOCALE, { numeric: true, sensitivity: 'base' });
 
     // File-specific state (primitives - no @track needed)
     showImageModal = false;
@@ -55,6 +259,84 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
 
     // Delete permission tracking
     canDeleteRecords = false;
+
+    // Inline editing state - relatedObjectType is the child object the rows belong to
+    relatedObjectType = null;
+    draftValues = [];
+    tableErrors = null;
+
+    // Row selection and mass action state
+    selectedRowIds = [];
+    isMassActionRunning = false;
+    showMassDeleteConfirm = false;
+    showMassUpdateModal = false;
+    massUpdateField = '';
+    massUpdateValue = null;
+    activeFlowApiName = null;
+    activeFlowLabel = '';
+    activeFlowRecordId = null; // Set when the flow was launched from a row action
+
+    // Row action state - the edit modal and each row's access, fetched when its menu is opened
+    editRecordId = null;
+    _recordAccessCache = new Map();
+
+    // Real-time update state - relationshipFieldApiName is the child's lookup to the parent, from the server
+    relationshipFieldApiName = null;
+    pendingRealTimeIds = [];
+    realTimeNeedsRefresh = false;
+    _realTimeSubscription = null;
+    _realTimeChannel = null;
+    _hasRealTimeErrorHandler = false;
+
+    // Date field the timeline was last ordered by on the server
+    _timelineSortField = null;
+
+    // Lightning Message Service - refresh requests in, deletes, selection and loads out
+    @wire(MessageContext)
+    messageContext;
+    _messageSubscription = null;
+
+    // Filter set through setFilter() - null uses the configured filterCriteria
+    _filterOverride = null;
+
+    // Summary totals over the full related set, calculated on the server
+    aggregateValues = [];
+    _aggregateRequestId = 0;
+
+    // Timeline items the user has expanded to show all fields
+    expandedTimelineIds = [];
+
+    // Kanban drag state - the card being dragged and the lane it's over
+    _draggedRecordId = null;
+    kanbanDropLane = null;
+    // Latest move of each card - a save that finishes after a newer move of the same card is ignored
+    _kanbanMoveIds = new Map();
+
+    // Activity history filters - the open/closed tab, an activity type and an inclusive YYYY-MM-DD date range
+    activityTab = 'open';
+    activityTypeFilter = '';
+    activityDateFrom = '';
+    activityDateTo = '';
+
+    // Grouping state - keys of the collapsed groups, for the list identified by _groupStateKey
+    collapsedGroupKeys = [];
+    _groupStateKey = null;
+
+    // New record state - newRecordInfo describes the child object the New button creates
+    newRecordInfo = null;
+    // List response shown before its delete and create permissions were known - see loadDataWithARL
+    _permissionsPendingResponse = null;
+    showNewRecordModal = false;
+    isChoosingRecordType = false;
+    newRecordTypeId = null;
+    isSavingNewRecord = false;
+    newRecordDefaults = null; // Field values copied from the row being cloned
+
+    // Search state - searchTerm is the applied (debounced) term,
+    // _serverSearchTerm is the term allRecords was filtered by on the server
+    searchTerm = '';
+    _serverSearchTerm = '';
+    _searchDebounceTimeout = null;
     
     // Performance and state tracking
     lastDataSignature = '';
@@ -63,14 +345,15 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
     lastLoadTime = 0;
     _scrollDebounceTimeout = null;
     _cachedRelationshipFieldMap = null;
+    _relationshipFieldMapSource = null;
 
     // Performance metrics tracking
     _perfMetrics = {
         // Batch 1 metrics (already optimized)
         relatedListLabelAccessCount: 0,
         relatedListLabelCacheHits: 0,
-        customFieldNamesListAccessCount: 0,
-        customFieldNamesListCacheHits: 0,
+        columnDefinitionsAccessCount: 0,
+        columnDefinitionsCacheHits: 0,
         sortOperationCount: 0,
         sortOptimizationSavings: 0,
 
@@ -100,25 +383,36 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         relatedListName: null,
         relationshipField: null,
         enabledFields: null,
-        detectedObjectType: null,
         relatedListType: null,
+        filterCriteria: null,
         numberOfSlots: null,
         iconType: null,
         relatedListIcon: null,
-        fieldNames: null
+        columnDefinitions: null,
+        showPicklistBadges: null,
+        showPercentBars: null,
+        showOwnerAvatars: null,
+        lookupPageUrl: null,
+        recordPageUrl: null
     };
 
+    // Datatable columns with formatting rules applied, rebuilt when this.columns is replaced
+    _tableColumnsSource = null;
+    _cachedTableColumns = [];
+
     // Fix #6: Cache relatedListLabel
     _cachedRelatedListLabel = null;
     _lastLabelInputs = {
         baseLabel: null,
         recordCount: null,
-        hasMoreRecords: null
+        hasMoreRecords: null,
+        totalRecordCount: null,
+        searchResultCount: null
     };
 
-    // Fix #7: Cache customFieldNamesList
-    _cachedCustomFieldNamesList = [];
-    _lastFieldNamesString = '';
+    // Fix #7: Cache columnDefinitions
+    _cachedColumnDefinitions = [];
+    _lastColumnsConfigString = null;
 
     // Fix #9: Cache config-only getters
     _cachedConfigGetters = {
@@ -228,20 +522,31 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         // Fix #6: Only recalculate when label or count changes
         const baseLabel = this.configObj.relatedListLabel || 'Related Records';
         const recordCount = this.hasData ? this.allRecords.length : 0;
+        const searchResultCount = this.searchTerm ? this.searchResultCount : null;
 
         // Check if inputs changed (including hasMoreRecords for "20+" logic)
         if (this._lastLabelInputs.baseLabel !== baseLabel ||
             this._lastLabelInputs.recordCount !== recordCount ||
-            this._lastLabelInputs.hasMoreRecords !== this.hasMoreRecords) {
+            this._lastLabelInputs.hasMoreRecords !== this.hasMoreRecords ||
+            this._lastLabelInputs.totalRecordCount !== this.totalRecordCount ||
+            this._lastLabelInputs.searchResultCount !== searchResultCount) {
 
             // Update cache
             this._lastLabelInputs.baseLabel = baseLabel;
             this._lastLabelInputs.recordCount = recordCount;
             this._lastLabelInputs.hasMoreRecords = this.hasMoreRecords;
+            this._lastLabelInputs.totalRecordCount = this.totalRecordCount;
+            this._lastLabelInputs.searchResultCount = searchResultCount;
 
             // Recalculate label - show initialRecordsToLoad+ when there are more records
-            if (this.hasData && recordCount > 0) {
-                if (this.hasMoreRecords && recordCount >= this.initialRecordsToLoad) {
+            if (searchResultCount !== null) {
+                // Searching - count the matches, including zero
+                this._cachedRelatedListLabel = `${baseLabel} (${searchResultCount})`;
+            } else if (this.hasData && recordCount > 0) {
+                if (this.totalRecordCount != null) {
+                    // Server reported the real total (ARL mode)
+                    this._cachedRelatedListLabel = `${baseLabel} (${this.totalRecordCount})`;
+                } else if (this.hasMoreRecords && recordCount >= this.initialRecordsToLoad) {
                     // Show "6+" (or whatever the initial load size is) when there are more records
                     this._cachedRelatedListLabel = `${baseLabel} (${this.initialRecordsToLoad}+)`;
                 } else {
@@ -311,51 +616,61 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         return this.configObj.relatedListName || '';
     }
     
-    get fieldNames() {
-        return this.configObj.fieldNames || '';
-    }
-
     get relationshipField() {
         return this.configObj.relationshipField || '';
     }
     
+    // Queried fields, in column order
     get enabledFields() {
-        return this.configObj.enabledFields || '';
+        return this.columnDefinitions.map(column => column.field).join(',');
     }
 
-    get customFieldNamesList() {
-        this._perfMetrics.customFieldNamesListAccessCount++;
+    // Per-column settings from configJSONString: columns: [{ field, label, width, alignment, wrap, sortable, type, hideOnMobile }].
+    // Lists configured before columns existed keep working from their enabledFields and fieldNames comma lists.
+    get columnDefinitions() {
+        this._perfMetrics.columnDefinitionsAccessCount++;
 
-        // Fix #7: Only recalculate when fieldNames string changes
-        if (this.fieldNames !== this._lastFieldNamesString) {
-            this._lastFieldNamesString = this.fieldNames;
-
-            if (!this.fieldNames || this.fieldNames.trim() === '') {
-                this._cachedCustomFieldNamesList = [];
-            } else {
-                this._cachedCustomFieldNamesList = this.fieldNames
-                    .split(',')
-                    .map(name => name.trim())
-                    .filter(name => name.length > 0);
-            }
-        } else {
-            this._perfMetrics.customFieldNamesListCacheHits++;
+        // Fix #7: Only recalculate when the config changes
+        if (this.configJSONString === this._lastColumnsConfigString) {
+            this._perfMetrics.columnDefinitionsCacheHits++;
+            return this._cachedColumnDefinitions;
         }
+        this._lastColumnsConfigString = this.configJSONString;
+
+        const columns = Array.isArray(this.configObj.columns) ? this.configObj.columns : this.migrateColumnDefinitions();
+        this._cachedColumnDefinitions = columns
+            .filter(column => typeof column?.field === 'string' && column.field.trim() !== '')
+            .map(column => {
+                const width = parseInt(column.width, 10);
+                return {
+                    field: column.field.trim(),
+                    label: (column.label || '').trim(),
+                    width: width > 0 ? width : null,
+                    alignment: COLUMN_ALIGNMENTS.includes(column.alignment) ? column.alignment : '',
+                    wrap: column.wrap !== false,
+                    sortable: column.sortable !== false,
+                    type: COLUMN_TYPE_OVERRIDES[column.type] ? column.type : '',
+                    hideOnMobile: column.hideOnMobile === true
+                };
+            });
+        return this._cachedColumnDefinitions;
+    }
 
-        return this._cachedCustomFieldNamesList;
+    // enabledFields and fieldNames had to line up by position - blank headers keep the field label
+    migrateColumnDefinitions() {
+        const labels = (this.configObj.fieldNames || '').split(',');
+        return (this.configObj.enabledFields || '')
+            .split(',')
+            .map((field, index) => ({ field: field, label: labels[index] || '' }));
     }
 
-    getCustomFieldLabel(fieldInfo, index) {
-        const customNames = this.customFieldNamesList;
-        
-        // If we have a custom name for this index, use it
-        if (customNames.length > index) {
-            this.debugLog(`Using custom name for field ${index}: "${customNames[index]}" instead of "${fieldInfo.label}"`);
-            return customNames[index];
-        }
-        
-        // Otherwise, use the original field label
-        return fieldInfo.label;
+    getColumnDefinition(fieldApiName) {
+        const apiName = (fieldApiName || '').toLowerCase();
+        return this.columnDefinitions.find(column => column.field.toLowerCase() === apiName);
+    }
+
+    get isMobile() {
+        return FORM_FACTOR === 'Small';
     }
     
     // Record Linking
@@ -428,6 +743,87 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         return this.configObj.enableRecordDeletion || false;
     }
 
+    // Serialized filter for the server - '' when no condition has a field yet
+    get filterCriteria() {
+        const criteria = this._filterOverride !== null ? this._filterOverride : this.configObj.filterCriteria;
+        const hasCondition = criteria?.groups?.some(
+            group => group?.conditions?.some(condition => condition?.field)
+        );
+        return hasCondition ? JSON.stringify(criteria) : '';
+    }
+
+    // Only aggregates with a function are sent - the server skips fields it can't aggregate
+    get aggregates() {
+        const aggregates = (this.configObj.aggregates || [])
+            .filter(aggregate => aggregate?.function)
+            .map(aggregate => ({ field: aggregate.field || '', function: aggregate.function }));
+        return aggregates.length > 0 ? JSON.stringify(aggregates) : '';
+    }
+
+    get dateFormat() {
+        return DATE_FORMAT_MONTHS[this.configObj.dateFormat] ? this.configObj.dateFormat : 'numeric';
+    }
+
+    // Blank keeps each field's own precision
+    get numberDecimalPlaces() {
+        const decimalPlaces = parseInt(this.configObj.numberDecimalPlaces, 10);
+        return Number.isNaN(decimalPlaces) ? null : Math.min(Math.max(decimalPlaces, 0), 10);
+    }
+
+    // Minutes a cached list is shown before it has to be loaded again - 0 turns the cache off
+    get cacheTtlMinutes() {
+        const minutes = parseInt(this.configObj.cacheTtlMinutes, 10);
+        return Number.isNaN(minutes) ? DEFAULT_CACHE_TTL_MINUTES : Math.max(minutes, 0);
+    }
+
+    get showPicklistBadges() {
+        return this.configObj.showPicklistBadges || false;
+    }
+
+    get showPercentBars() {
+        return this.configObj.showPercentBars || false;
+    }
+
+    get showOwnerAvatars() {
+        return this.configObj.showOwnerAvatars || false;
+    }
+
+    // Page lookups link to - otherwise the record page pattern when it names the object (:objectApiName),
+    // blank shows the related name without a link
+    get lookupPageUrl() {
+        if (this.configObj.lookupPageUrl) {
+            return this.configObj.lookupPageUrl;
+        }
+        return OBJECT_PLACEHOLDER_PATTERN.test(this.recordPageUrl) ? this.recordPageUrl : '';
+    }
+
+    // Unknown keys are dropped so a stale config can't add empty columns
+    get emailColumns() {
+        const keys = (this.configObj.emailColumns || []).filter(key => EMAIL_COLUMNS[key]);
+        return keys.length > 0 ? keys : DEFAULT_EMAIL_COLUMNS;
+    }
+
+    get defaultSortField() {
+        return this.configObj.defaultSortField || '';
+    }
+
+    get defaultSortDirection() {
+        return this.configObj.defaultSortDirection === 'desc' ? 'desc' : 'asc';
+    }
+
+    // One saved sort per configured list on each site page - the same page opened for another record shares it
+    get sortStorageKey() {
+        return SORT_STORAGE_PREFIX + [this.pageRoute, this.relatedListType, this.relatedListName, this.configObj.relatedListLabel || ''].join('|');
+    }
+
+    // The page's path with record Ids left out, e.g. /s/account/:recordId/detail
+    get pageRoute() {
+        return window.location.pathname
+            .split('/')
+            .map(segment => (isRecordId(segment) ? ':recordId' : segment))
+            .join('/');
+    }
+
     get relatedListType() {
         return this.configObj.relatedListType || 'standard';
     }
@@ -444,6 +840,10 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         return this.relatedListType === 'articles';
     }
 
+    get isActivitiesType() {
+        return this.relatedListType === 'activities';
+    }
+
     get isEmailType() {
         console.log('relatedlisttype: ' + this.relatedListType);
         return this.relatedListType === 'emails';
@@ -472,8 +872,11 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
             relatedListName: this.relatedListName,
             relationshipField: this.relationshipField,
             enabledFields: this.enabledFields,
-            detectedObjectType: this.detectedObjectType,
-            relatedListType: this.relatedListType
+            relatedListType: this.relatedListType,
+            filterCriteria: this.filterCriteria,
+            defaultSortField: this.defaultSortField,
+            defaultSortDirection: this.defaultSortDirection,
+            aggregates: this.aggregates
         };
 
         // Check if any relevant input changed
@@ -504,7 +907,10 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
                     relatedListName: this.relatedListName,
                     relationshipField: this.relationshipField,
                     enabledFields: this.enabledFields,
-                    detectedObjectType: this.detectedObjectType
+                    filterCriteria: this.filterCriteria,
+                    defaultSortField: this.defaultSortField,
+                    defaultSortDirection: this.defaultSortDirection,
+                    aggregates: this.aggregates
                 });
             }
         }
@@ -520,12 +926,26 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
             numberOfSlots: this.numberOfSlots,
             iconType: this.iconType,
             relatedListIcon: this.relatedListIcon,
-            fieldNames: this.fieldNames,
+            columnDefinitions: JSON.stringify(this.columnDefinitions),
             defaultColumnWidth: this.defaultColumnWidth,
             hideCheckboxColumn: this.hideCheckboxColumn,
             showRowNumberColumn: this.showRowNumberColumn,
             resizeColumnDisabled: this.resizeColumnDisabled,
-            columnSortingDisabled: this.columnSortingDisabled
+            columnSortingDisabled: this.columnSortingDisabled,
+            enableInlineEditing: this.enableInlineEditing,
+            editableFields: this.configObj.editableFields,
+            enableNewButton: this.enableNewButton,
+            newRecordFields: this.configObj.newRecordFields,
+            rowActions: JSON.stringify(this.configObj.rowActions || []),
+            dateFormat: this.dateFormat,
+            numberDecimalPlaces: this.numberDecimalPlaces,
+            emailColumns: this.emailColumns.join(','),
+            formattingRules: JSON.stringify(this.configObj.formattingRules || []),
+            showPicklistBadges: this.showPicklistBadges,
+            showPercentBars: this.showPercentBars,
+            showOwnerAvatars: this.showOwnerAvatars,
+            lookupPageUrl: this.lookupPageUrl,
+            recordPageUrl: this.recordPageUrl
         };
 
         // Check if any UI input changed
@@ -547,12 +967,25 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
                 viewAllUrl: this.viewAllUrl,
                 enableRecordLinking: this.enableRecordLinking,
                 recordPageUrl: this.recordPageUrl,
-                fieldNames: this.fieldNames,
+                columnDefinitions: this.columnDefinitions,
                 defaultColumnWidth: this.defaultColumnWidth,
                 hideCheckboxColumn: this.hideCheckboxColumn,
                 showRowNumberColumn: this.showRowNumberColumn,
                 resizeColumnDisabled: this.resizeColumnDisabled,
                 columnSortingDisabled: this.columnSortingDisabled,
+                enableInlineEditing: this.enableInlineEditing,
+                editableFields: this.configObj.editableFields,
+                enableNewButton: this.enableNewButton,
+                newRecordFields: this.configObj.newRecordFields,
+                rowActions: this.configObj.rowActions || [],
+                dateFormat: this.dateFormat,
+                numberDecimalPlaces: this.numberDecimalPlaces,
+                emailColumns: this.emailColumns,
+                formattingRules: this.configObj.formattingRules || [],
+                showPicklistBadges: this.showPicklistBadges,
+                showPercentBars: this.showPercentBars,
+                showOwnerAvatars: this.showOwnerAvatars,
+                lookupPageUrl: this.lookupPageUrl,
                 enableInfiniteLoading: this.enableInfiniteLoading,
                 displayMode: this.displayMode,
             });
@@ -608,7 +1041,7 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
     
     get showActionButtonContainer() {
         // Only show if there's actually something to display AND there are records
-        const hasContent = this.showTable || this.showArticles || this.showFilesGrid || this.showCards;
+        const hasContent = this.showTable || this.showArticles || this.showFilesGrid || this.showCards || this.showKanban || this.showTimeline;
         const hasLoadMore = this.showLoadMoreButton && this.hasMoreRecords;
         const hasViewAll = this.showViewAll && hasContent;
         return hasLoadMore || hasViewAll;
@@ -626,15 +1059,164 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         //console.log('loading ' + this.isLoading + ' error ' + this.error + ' has data ' + this.hasData);
         return !this.isLoading && !this.error && !this.hasData;
     }
+
+    get emptyStateMessage() {
+        if (this.searchTerm) {
+            return `No records match "${this.searchTerm}".`;
+        }
+        if (this.isActivitiesType && this.allRecords.length > 0) {
+            return this.activityTab === 'open' ? 'No open activities match the filters.' : 'No closed activities match the filters.';
+        }
+        return 'No records available.';
+    }
+
+    // ===== SEARCH =====
+
+    get enableSearch() {
+        return this.configObj.enableSearch || false;
+    }
+
+    // Client-side filtering is skipped when the server already filtered allRecords by this exact term
+    get isClientSearchActive() {
+        return !!this.searchTerm && this.searchTerm !== this._serverSearchTerm;
+    }
+
+    get searchResultCount() {
+        if (this.isClientSearchActive) {
+            return this.getSearchFilteredRecords().length;
+        }
+        return this.totalRecordCount != null ? this.totalRecordCount : this.allRecords.length;
+    }
+
+    getSearchFilteredRecords() {
+        return this.filterRecordsBySearch(this.isActivitiesType ? this.getActivityFilteredRecords() : this.allRecords);
+    }
+
+    filterRecordsBySearch(records) {
+        if (!this.isClientSearchActive) {
+            return records;
+        }
+
+        const term = this.searchTerm.toLowerCase();
+        const searchFields = this.columns
+            .filter(col => col.type !== 'action')
+            .map(col => {
+                // Linked columns hold the URL - search the label field instead
+                if (col.fieldName === 'recordUrl' && col.typeAttributes?.label?.fieldName) {
+                    return col.typeAttributes.label.fieldName;
+                }
+                // Lookups hold the related Id - search the related name instead
+                if (col.cellType === 'lookup') {
+                    return LOOKUP_NAME_PREFIX + col.fieldName;
+                }
+                return col.fieldName;
+            })
+            .filter(fieldName => !!fieldName);
+
+        return records.filter(record =>
+            searchFields.some(fieldName => {
+                const value = record[fieldName];
+                return value != null && String(value).toLowerCase().includes(term);
+            })
+        );
+    }
+
+    handleSearchChange(event) {
+        const term = (event.detail.value || '').trim();
+
+        if (this._searchDebounceTimeout) {
+            clearTimeout(this._searchDebounceTimeout);
+        }
+
+        this._searchDebounceTimeout = setTimeout(() => {
+            this.applySearch(term);
+        }, SEARCH_DEBOUNCE_MS);
+    }
+
+    async applySearch(term) {
+        if (term === this.searchTerm) {
+            return;
+        }
+
+        this.debugLog('Applying search term:', term);
+        this.searchTerm = term;
+
+        // The server has to search when the loaded records are incomplete, or when the loaded
+        // records were narrowed by an earlier server search that the new term doesn't refine
+        const loadedSetIsIncomplete = this.serverHasMoreRecords && !!term;
+        const serverFilterTooNarrow = !!this._serverSearchTerm &&
+            !term.toLowerCase().includes(this._serverSearchTerm.toLowerCase());
+
+        if (this.isStandardType && (loadedSetIsIncomplete || serverFilterTooNarrow)) {
+            await this.searchOnServer(term);
+            return;
+        }
+
+        this.currentOffset = 0;
+        this.updateDisplayedRecords();
+        this.loadAggregates();
+    }
+
+    async searchOnServer(term) {
+        this.debugLog('Searching on server:', term);
+        this._serverSearchTerm = term;
+        this.isLoadingMore = true;
+
+        try {
+            await this.loadDataWithARL(false);
+        } catch (error) {
+            this.logError('Error searching records:', error);
+            this.showToast('Error', 'Failed to search records: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoadingMore = false;
+        }
+    }
     
     get displayMode() {
         return this.configObj.displayMode || 'table';
     }
 
+    // Configured as formattingRules: [{ field, operator, value, target, textColor, backgroundColor, iconName, badge }]
+    get formattingRules() {
+        const rules = Array.isArray(this.configObj.formattingRules) ? this.configObj.formattingRules : [];
+        return rules
+            .map(rule => {
+                // Only the style properties that are set, so later rules override just those
+                const style = {};
+                if (CSS_COLOR_PATTERN.test(rule?.textColor || '')) {
+                    style.textColor = rule.textColor;
+                }
+                if (CSS_COLOR_PATTERN.test(rule?.backgroundColor || '')) {
+                    style.backgroundColor = rule.backgroundColor;
+                }
+                if (ICON_NAME_PATTERN.test(rule?.iconName || '')) {
+                    style.iconName = rule.iconName;
+                }
+                if (rule?.badge === true) {
+                    style.badge = true;
+                }
+                return {
+                    field: (rule?.field || '').trim(),
+                    operator: rule?.operator || 'equals',
+                    value: rule?.value ?? '',
+                    target: rule?.target === 'row' ? 'row' : 'cell',
+                    style: style
+                };
+            })
+            .filter(rule => rule.field && Object.keys(rule.style).length > 0);
+    }
+
+    // Kanban cards and expanded timeline items show the same body as cards mode
+    get usesCardData() {
+        return this.displayMode === 'cards' || this.displayMode === 'kanban' || this.displayMode === 'timeline';
+    }
+
     get showTable() {
         //console.log('display mode: ' + this.displayMode);
-        return ((this.displayMode === 'table' && this.isStandardType) || 
-                this.isArticlesType || this.isEmailType) &&  // Removed Files reference
+        // A timeline without a date field to order by falls back to the table
+        const isTableMode = this.displayMode === 'table' || (this.displayMode === 'timeline' && !this.isTimelineMode);
+        return ((isTableMode && this.isStandardType) || 
+                this.isArticlesType || this.isActivitiesType || (this.isEmailType && !this.isTimelineMode)) &&  // Removed Files reference
             !this.isLoading && 
             !this.error && 
             this.hasData && 
@@ -642,12 +1224,15 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
     }
 
     get showCards() {
-        return this.displayMode === 'cards' &&
+        // Kanban without a usable picklist field falls back to plain cards
+        const isCardsMode = this.displayMode === 'cards' || (this.displayMode === 'kanban' && !this.isKanbanMode);
+        return isCardsMode &&
             !this.isLoading &&
             !this.error &&
             this.hasData &&
             this.displayedRecords.length > 0 &&
             !this.isArticlesType && // Don't show cards for articles
+            !this.isActivitiesType && // Activities are always a table
             !this.isFilesType; // Don't show cards for files - they have their own grid
     }
 
@@ -656,6 +1241,7 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         const row = event.detail.row;
 
         this.debugLog('Row action:', actionName, row);
+        this.dispatchListEvent('rowaction', { recordId: row.Id || null, action: actionName, row: { ...row } });
 
         if (actionName === 'viewFile') {
             // Handle file view action
@@ -667,6 +1253,15 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         } else if (actionName === 'delete') {
             // Handle delete action
             this.handleDeleteRecord(row.Id);
+        } else if (actionName === 'completeTask') {
+            this.handleCompleteTask(row);
+        } else if (actionName === 'openEmail' || actionName === 'openEvent' || actionName === 'openRecord') {
+            this.navigateToUrl(row.recordUrl);
+        } else {
+            const rowAction = this.rowActions.find(action => action.name === actionName);
+            if (rowAction) {
+                this.runRowAction(rowAction, row);
+            }
         }
     }
 
@@ -691,7 +1286,7 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
             
             return {
                 fieldName: fieldName,
-                label: col.label,
+                label: col.baseLabel || col.label,
                 // Add unique key for iteration
                 key: `card-field-${index}`
             };
@@ -699,8 +1294,9 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
     }
 
     get showLoadMoreButton() {
-        const hasContent = this.showTable || this.showArticles || this.showFilesGrid || this.showCards;
-        const result = hasContent && this.hasMoreRecords && this.showViewMore && !this.enableInfiniteLoading;
+        const hasContent = this.showTable || this.showArticles || this.showFilesGrid || this.showCards || this.showKanban || this.showTimeline;
+        // Grouped tables and the kanban board can't share one infinite scroll, so they page with the button
+        const result = hasContent && this.hasMoreRecords && this.showViewMore && (!this.enableInfiniteLoading || this.isGrouped || this.showKanban);
 
         // Debug logging
         this.debugLog('showLoadMoreButton calculation:', {
@@ -716,8 +1312,14 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
     }
     
     get loadMoreButtonLabel() {
-        const remainingRecords = this.allRecords.length - this.displayedRecords.length;
+        // Prefer the server total so the label also counts records that aren't fetched yet
+        const knownTotal = this.searchTerm ? this.searchResultCount :
+            (this.totalRecordCount != null ? this.totalRecordCount : this.allRecords.length);
+        const remainingRecords = knownTotal - this.displayedRecords.length;
         const nextBatchSize = Math.min(remainingRecords, this.initialRecordsToLoad);
+        if (nextBatchSize <= 0) {
+            return 'Load More';
+        }
         return `Load More (${nextBatchSize} more)`;
     }
 
@@ -745,7 +1347,7 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
     
     // Validation
     get hasValidConfiguration() {
-        if (this.isArticlesType || this.isEmailType) {
+        if (this.isArticlesType || this.isEmailType || this.isActivitiesType) {
             // Articles mode validation - just needs recordId
             const hasRecordId = !!(this.currentRecordId);
             this.debugLog('Articles Validation:', { hasRecordId });
@@ -757,23 +1359,22 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
             return hasRecordId;
         } else {
             // ARL mode validation (existing logic)
+            // The object type isn't needed up front - the server works it out from the record Id when it isn't known yet
             const hasRelatedListName = !!(this.relatedListName);
             const hasRecordId = !!(this.currentRecordId);
-            const hasDetectedObjectType = !!(this.detectedObjectType);
             
             this.debugLog('ARL Validation:', {
                 hasRelatedListName,
                 hasRecordId,
-                hasDetectedObjectType,
                 relatedListName: this.relatedListName,
                 recordId: this.currentRecordId,
                 detectedObjectType: this.detectedObjectType,
                 enabledFields: this.enabledFields,
                 relationshipField: this.relationshipField,
-                canProceed: hasRelatedListName && hasRecordId && hasDetectedObjectType
+                canProceed: hasRelatedListName && hasRecordId
             });
             
-            return hasRelatedListName && hasRecordId && hasDetectedObjectType;
+            return hasRelatedListName && hasRecordId;
         }
     }
     
@@ -797,6 +1398,11 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         return this.configObj.cardGridColumns || '1';
     }
 
+    // Grouped cards and files scroll as a whole instead of inside each group
+    get groupedContainerClass() {
+        return this.isGrouped ? 'fixed-header-table grouped-records' : 'fixed-header-table';
+    }
+
     get cardGridClass() {
         return `card-container card-grid-columns-${this.cardGridColumns}`;
     }
@@ -834,8 +1440,15 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         this.debugLog(`SlotTest connected with CPE integration - Mode: ${this.dataSourceMode}`);
         this.debugLog('Configuration:', this.configObj);
         this.isInitialized = true;
+        this.registerRealTimeErrorHandler();
+        this.subscribeToMessageChannel();
         this.detectObjectTypeAndLoadData();
     }
+
+    disconnectedCallback() {
+        this.unsubscribeFromChanges();
+        this.unsubscribeFromMessageChannel();
+    }
     
     renderedCallback() {
         const renderStart = performance.now();
@@ -861,13 +1474,16 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
             this.rebuildColumnsOnly();
         }
 
+        // The group-by field isn't part of either signature, so a change to it doesn't reload
+        this.restoreCollapsedGroups();
+
         const renderEnd = performance.now();
         this._perfMetrics.lastRenderTime = renderEnd - renderStart;
     }
     
     // ===== DATA LOADING ORCHESTRATION =====
     
-    async detectObjectTypeAndLoadData() {
+    detectObjectTypeAndLoadData() {
         this.debugLog('detectObjectTypeAndLoadData called with recordId:', this.currentRecordId);
 
         if (!this.currentRecordId) {
@@ -877,22 +1493,14 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         }
 
         
-        try {
-            // Always detect object type (needed for both modes)
-            this.detectedObjectType = await getObjectTypeFromRecordId({ recordId: this.currentRecordId });
-            this.debugLog('Detected object type:', this.detectedObjectType);
-            
-            if (this.detectedObjectType) {
-                // Force a signature update to trigger reload
-                this.lastDataSignature = '';
-                this.loadData();
-            } else {
-                this.error = 'Could not determine object type from record ID';
-            }
-        } catch (error) {
-            this.logError('Error detecting object type:', error);
-            this.error = 'Could not determine object type from record ID';
-        }
+        // Known from the record Id's key prefix once this session has seen an Id of the same object,
+        // otherwise the Related List API call returns it - either way the first paint needs one server call
+        this.detectedObjectType = getKnownObjectApiName(this.currentRecordId);
+        this.debugLog('Object type from key prefix:', this.detectedObjectType);
+
+        // Force a signature update to trigger reload
+        this.lastDataSignature = '';
+        this.loadData();
     }
     
     async loadData() {
@@ -910,6 +1518,8 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
 
         this.isLoading = true;
         this.error = null;
+        this.restoreSort();
+        this.restoreCollapsedGroups();
 
         try {
             // Route to appropriate data loading method based on type
@@ -918,15 +1528,28 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
             } else if (this.isFilesType) {
                 await this.loadFiles();
             } else if (this.isEmailType) {
-                await this.loadRelatedActivity('08pEi000001JIofIAG');
+                await this.loadRelatedActivity(this.currentRecordId);
+            } else if (this.isActivitiesType) {
+                await this.loadActivities();
             } else {
                 await this.loadDataWithARL();
             }
 
+            // Related List API rows come back sorted from the server, the other types are sorted here
+            if ((this.isArticlesType || this.isEmailType || this.isActivitiesType) && this.sortCriteria.length > 0) {
+                this.applySortToColumns();
+                this.sortData();
+                this.updateDisplayedRecords();
+            }
+
             // Update signatures to prevent unnecessary reloads
             this.lastDataSignature = this.dataSignature;
             this.lastUISignature = this.uiSignature;
 
+            const recordCount = this.totalRecordCount != null ? this.totalRecordCount : this.allRecords.length;
+            this.publishListMessage('listLoaded', { recordCount: recordCount });
+            this.dispatchListEvent('recordsloaded', { recordCount: recordCount, loadedCount: this.allRecords.length });
+
             const endTime = performance.now();
             this.lastLoadTime = Math.round(endTime - startTime);
             this.debugLog(`Data loading took ${this.lastLoadTime}ms`);
@@ -934,6 +1557,7 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         } catch (error) {
             this.logError(`Error loading data:`, error);
             this.error = error.body?.message || error.message || 'Unknown error occurred';
+            this.dispatchErrorEvent('load', this.error);
             this.clearData();
         } finally {
             this.isLoading = false;
@@ -975,7 +1599,7 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
             }
             
             // Re-flatten relationship fields for ARL mode
-            this.flattenRelationshipFieldsForARL(processedRecord, records.length > 0 ? records[0] : {});
+            this.flattenRelationshipFieldsForARL(processedRecord);
             
             return processedRecord;
         });
@@ -992,38 +1616,28 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
             this.currentOffset = 0;
             const response = await getActivity({ recordId: recordId });
 
-            let modifiedResponse = [...response];
-            modifiedResponse.forEach(rec => {
-                rec.url = '/internalsupportlwr/emailmessage/' + rec.Id;
-                if(rec.Status === 0 || rec.Status === 1) {
-                    rec.statusText = 'Read';
-                } else if (rec.Status === 2) {
-                    rec.statusText = 'Replied';
-                } else {
-                    rec.statusText = 'Sent';
+            const linkRecords = this.enableRecordLinking && this.recordPageUrl;
+            const modifiedResponse = response.map(email => {
+                const rec = { ...email };
+                if (linkRecords) {
+                    rec.recordUrl = this.buildRecordUrl(rec.Id);
                 }
+                rec.fromText = rec.FromName && rec.FromAddress ?
+                    `${rec.FromName} <${rec.FromAddress}>` :
+                    rec.FromName || rec.FromAddress;
+                rec.statusText = EMAIL_STATUS_LABELS[rec.Status] || rec.Status;
+                rec.directionText = rec.Incoming ? 'Inbound' : 'Outbound';
+                return rec;
             });
 
-            //console.log('126467: ');
-            //console.log(modifiedResponse);
-
-            this.columns = [
-                {
-                    label: 'Subject', fieldName: 'url', type: 'url',
-                    typeAttributes: {label: { fieldName: 'Subject' }, 
-                    target: '_blank'}, hideDefaultActions: true
-                },
-                {
-                    label: 'Status', fieldName: 'statusText', hideDefaultActions: true
-                },
-                {
-                    label: 'Opened?', fieldName: 'IsOpened', type: 'boolean', hideDefaultActions: true
-                },
-                {
-                    label: 'Message Date', fieldName: 'MessageDate', type: 'date', hideDefaultActions: true
-                }
+            this.columns = this.emailColumns.map(key => this.buildEmailColumn(key, linkRecords));
 
-            ];
+            // Expanded timeline items show the same fields as the table
+            if (this.usesCardData) {
+                modifiedResponse.forEach(rec => {
+                    rec.cardData = this.buildCardData(rec);
+                });
+            }
             this.allRecords = modifiedResponse;
 
             this.hasData = this.allRecords.length > 0;
@@ -1036,79 +1650,210 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         }
     }
     
+    // Subject links to the email's record page when record linking is set up
+    buildEmailColumn(key, linkRecords) {
+        const { label, fieldName, type, fieldType } = EMAIL_COLUMNS[key];
+        const column = { label, fieldName, type: type || 'text', fieldType, hideDefaultActions: true };
+
+        if (key === 'subject' && linkRecords) {
+            column.fieldName = 'recordUrl';
+            column.type = 'url';
+            column.typeAttributes = { label: { fieldName: 'Subject' }, target: '_blank' };
+        } else if (type === 'date') {
+            column.typeAttributes = this.getTypeAttributes(fieldType);
+        }
+        return column;
+    }
+
     // ===== ARL MODE DATA LOADING =====
     
-    async loadDataWithARL(appendRecords = false) {
+    async loadDataWithARL(appendRecords = false, limitOverride = 0) {
         this.debugLog('Using Related List API data loading method', appendRecords ? '(appending)' : '(initial)');
 
-        if (!this.relatedListName || !this.detectedObjectType) {
-            throw new Error('Related List Name and Object Type are required for ARL mode');
+        if (!this.relatedListName) {
+            throw new Error('Related List Name is required for ARL mode');
         }
 
-        // Load up to maxRecordsToFetch records total (no pagination - simplified approach)
-        const offset = 0;
-        const limit = this.maxRecordsToFetch;
-
-        this.debugLog('ARL Parameters:', {
-            objectApiName: this.detectedObjectType,
-            relatedListName: this.relatedListName,
-            recordId: this.currentRecordId,
-            enabledFields: this.enabledFields,
-            relationshipField: this.relationshipField,
-            offset: offset,
-            limit: limit
-        });
+        // maxRecordsToFetch is the server page size. Appending continues from the records already
+        // loaded, so deletes and inserts made by this component keep the offset in step with the server.
+        const offset = appendRecords ? this.allRecords.length : 0;
+        const limit = appendRecords ? this.maxRecordsToFetch : Math.max(this.maxRecordsToFetch, limitOverride || 0);
+        const request = this.buildARLRequest(offset, limit);
+
+        this.debugLog('ARL Parameters:', request);
+
+        // A list already seen this session is shown from the cache straight away and checked against the server after
+        const cacheKey = appendRecords ? null : this.getListCacheKey(request);
+        const cached = cacheKey ? this.readListCache(cacheKey) : null;
+        if (cached) {
+            this.debugLog('Showing cached ARL response, revalidating in the background');
+            this.canDeleteRecords = cached.canDeleteRecords;
+            this.newRecordInfo = cached.newRecordInfo;
+            this.detectedObjectType = this.detectedObjectType || cached.response.objectApiName;
+            this.applyARLResponse(cached.response, false);
+            // Not awaited - the cached rows stay on screen while the server is asked again
+            this.revalidateListCache(request, cacheKey, cached);
+            return;
+        }
 
-        const response = await getRelatedListInfo({
-            objectApiName: this.detectedObjectType,
-            relatedListName: this.relatedListName,
-            recordId: this.currentRecordId,
-            enabledFields: this.enabledFields || '',
-            relationshipField: this.relationshipField || '',
-            offsetParam: offset,
-            limitParam: limit
-        });
+        // With the object type known, the permission checks go out with the list call and share its round trip
+        const hasPermissionsRequest = !appendRecords && !!this.detectedObjectType;
+        const [response] = await Promise.all([
+            getRelatedListInfo(request),
+            hasPermissionsRequest ? this.loadListPermissions() : null
+        ]);
 
         this.debugLog('ARL Response:', response);
 
-        if (response?.fields) {
-            // Check delete permissions before building columns
-            await this.checkDeletePermission();
+        if (!response?.fields) {
+            throw new Error('No field information returned from Related List API');
+        }
 
-            // Load all records up front (up to 50), paginate client-side only
-            this.columns = this.buildColumnsFromARL(response.fields);
-            this.allRecords = this.processARLRecords(response.records || []);
+        // Needed by the permission checks below when the key prefix wasn't known
+        if (response.objectApiName) {
+            this.detectedObjectType = response.objectApiName;
+            rememberObjectApiName(this.currentRecordId, response.objectApiName);
+        }
 
-            // Store server's hasMoreRecords flag - if true, there are more than 50 total
-            this.serverHasMoreRecords = response.hasMoreRecords || false;
+        // The timeline's date column is only certain once the fields are back - the first page is asked for
+        // again in its order when the request guessed another one
+        if (!appendRecords && this.displayMode === 'timeline') {
+            const timelineField = this.getTimelineColumn(this.buildColumnsFromARL(response.fields))?.fieldApiName;
+            if (timelineField && timelineField !== request.sortField && timelineField !== this._timelineSortField) {
+                this.debugLog('Reloading the first page in timeline order:', timelineField);
+                this._timelineSortField = timelineField;
+                await this.loadDataWithARL(false, limitOverride);
+                return;
+            }
+        }
 
-            this.currentOffset = 0;
-            this.updateDisplayedRecords();
-            this.hasData = this.allRecords.length > 0;
+        if (!appendRecords && !hasPermissionsRequest) {
+            // The object type only came back with the list - the rows are shown now, and the delete and
+            // clone actions are added once the permission checks for that type return. Not awaited.
+            this.applyARLResponse(response, false);
+            this._permissionsPendingResponse = response;
+            this.loadListPermissions().then(() => {
+                // Another load replaced the list in the meantime
+                if (this._permissionsPendingResponse !== response) {
+                    return;
+                }
+                this._permissionsPendingResponse = null;
+                this.columns = this.buildColumnsFromARL(response.fields);
+                this.applySortToColumns();
+                this.writeListCache(cacheKey, response);
+            });
+            return;
+        }
+        if (!appendRecords) {
+            this.writeListCache(cacheKey, response);
+        }
+        this.applyARLResponse(response, appendRecords);
+    }
+
+    // Delete and create permissions shape the row actions - both need the object type
+    loadListPermissions() {
+        return Promise.all([this.checkDeletePermission(), this.loadNewRecordInfo()]);
+    }
 
-            this.debugLog(`ARL Success: ${this.columns.length} columns, ${this.allRecords.length} records, serverHasMore: ${this.serverHasMoreRecords}`);
+    applyARLResponse(response, appendRecords) {
+        if (appendRecords) {
+            // Next server page - columns are already built, just add the records
+            this.allRecords = [...this.allRecords, ...this.processARLRecords(response.records || [])];
         } else {
-            throw new Error('No field information returned from Related List API');
+            this._permissionsPendingResponse = null;
+            this.relatedObjectType = response.relatedObjectType;
+            this.relationshipFieldApiName = response.relationshipField || null;
+            this.isMultiCurrency = response.multiCurrency === true;
+            this.columns = this.buildColumnsFromARL(response.fields);
+            this.applySortToColumns();
+            this.allRecords = this.processARLRecords(response.records || []);
+            this.currentOffset = 0;
+
+            // Drafts, selection and row access refer to the rows that were just replaced
+            this.draftValues = [];
+            this.tableErrors = null;
+            this.selectedRowIds = [];
+            this._recordAccessCache.clear();
+
+            // Not awaited - the records don't wait for the totals
+            this.loadAggregates();
+            this.subscribeToChanges();
         }
+
+        // Store server's paging state - more pages are fetched on Load More / infinite scroll
+        this.serverHasMoreRecords = response.hasMoreRecords || false;
+        this.totalRecordCount = response.totalRecordCount != null ? response.totalRecordCount : null;
+
+        this.updateDisplayedRecords();
+        this.hasData = this.allRecords.length > 0;
+
+        this.debugLog(`ARL Success: ${this.columns.length} columns, ${this.allRecords.length} of ${this.totalRecordCount} records, serverHasMore: ${this.serverHasMoreRecords}`);
     }
     
+    // Server request for one page of the list with the current sort, search and filter
+    buildARLRequest(offset, limit) {
+        // The server accepts comma-separated fields and directions for a multi-column sort.
+        // A timeline pages through its date field instead, so Load More continues it.
+        const timelineSortField = this.timelineSortField;
+        const serverSort = timelineSortField
+            ? [{ fieldApiName: timelineSortField, direction: this.timelineOrder }]
+            : this.sortCriteria.filter(criterion => criterion.fieldApiName);
+        const sortField = serverSort.map(criterion => criterion.fieldApiName).join(',');
+
+        return {
+            objectApiName: this.detectedObjectType,
+            relatedListName: this.relatedListName,
+            recordId: this.currentRecordId,
+            enabledFields: this.enabledFields || '',
+            relationshipField: this.relationshipField || '',
+            offsetParam: offset,
+            limitParam: limit,
+            sortField: sortField,
+            sortDirection: serverSort.map(criterion => criterion.direction).join(','),
+            searchTerm: this._serverSearchTerm || '',
+            filterCriteria: this.filterCriteria
+        };
+    }
+
     buildColumnsFromARL(fields) {
-        const columns = fields.map((field, index) => {
+        const visibleFields = fields.filter(field => !(this.isMobile && this.getColumnDefinition(field.apiName)?.hideOnMobile));
+        const columns = visibleFields.map((describedField, index) => {
+            const definition = this.getColumnDefinition(describedField.apiName) || {};
+            const field = this.applyColumnTypeOverride(describedField, definition.type);
             const fieldType = this.mapFieldTypeToDataTableType(field.type);
             const column = {
-                label: this.getCustomFieldLabel(field, index),
+                label: definition.label || field.label,
                 fieldName: this.getDisplayFieldNameForARL(field.apiName),
-                type: (field.type === 'DATETIME' || field.type === 'DATE') ? 'text' : fieldType,
-                isDateTime: field.type === 'DATETIME',
-                isDate: field.type === 'DATE',
-                sortable: !this.columnSortingDisabled,
-                wrapText: true
+                fieldApiName: field.apiName,
+                fieldType: field.type,
+                picklistValues: field.picklistValues,
+                // Editing follows the field's real type, whatever the column is shown as
+                massUpdatable: this.isFieldUpdatable(describedField),
+                updateable: field.updateable === true,
+                type: fieldType,
+                // The datatable has no time type, so times are formatted into text
+                isTime: field.type === 'TIME',
+                sortable: !this.columnSortingDisabled && field.sortable !== false && definition.sortable !== false,
+                // Unwrapped columns clip long values to one line
+                wrapText: definition.wrap !== false
             };
 
-            if (this.defaultColumnWidth && this.defaultColumnWidth > 0) {
+            const typeAttributes = this.getTypeAttributes(field.type);
+            if (typeAttributes) {
+                column.typeAttributes = typeAttributes;
+            }
+
+            // A column's own width can still be resized, the list-wide default is fixed
+            if (definition.width) {
+                column.initialWidth = definition.width;
+            } else if (this.defaultColumnWidth && this.defaultColumnWidth > 0) {
                 column.fixedWidth = this.defaultColumnWidth;
             }
 
+            if (definition.alignment) {
+                column.cellAttributes = { alignment: definition.alignment };
+            }
+
             // Enable linking on first column if configured
             if (index === 0 && this.enableRecordLinking && this.recordPageUrl) {
                 column.type = 'url';
@@ -1117,23 +1862,30 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
                     target: '_blank'
                 };
                 column.fieldName = 'recordUrl';
+                // The link label is text, so dates in it are formatted up front
+                column.isDate = field.type === 'DATE';
+                column.isDateTime = field.type === 'DATETIME';
+            } else {
+                this.setColumnCellType(column, field, definition.type);
+            }
+
+            // Rich text would be edited as raw HTML, so those columns stay display-only
+            if (column.cellType !== 'richText' && this.isFieldEditable(describedField, index)) {
+                column.editable = true;
             }
 
             return column;
         });
 
-        // Add delete action column if appropriate
-        if (this.shouldShowDeleteAction) {
+        // Add the row action menu if any action is configured or delete is allowed
+        if (this.showRowActionMenu) {
             columns.push({
                 type: 'action',
                 typeAttributes: {
-                    rowActions: [
-                        {
-                            label: 'Delete',
-                            name: 'delete',
-                            iconName: 'utility:delete'
-                        }
-                    ]
+                    // Resolved per row when the menu opens so conditions and record access apply
+                    rowActions: (row, doneCallback) => {
+                        this.getRowActions(row).then(doneCallback);
+                    }
                 },
                 fixedWidth: 60
             });
@@ -1145,30 +1897,49 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
     processARLRecords(records) {
         return records.map(record => {
             const processedRecord = { ...record };
+
+            // Add record URL for linking
+            if (this.enableRecordLinking && this.recordPageUrl && record.Id) {
+                processedRecord.recordUrl = this.buildRecordUrl(record.Id);
+            }
             
-            // Format datetime and date fields
+            // Flatten relationship fields for ARL mode
+            this.flattenRelationshipFieldsForARL(processedRecord);
+
+            // Unformatted values of the converted fields, used by sort and export
+            const rawValues = {};
+
+            // Format the fields the datatable can't format itself
             this.columns.forEach(col => {
                 const fieldName = col.fieldName === 'recordUrl' ? 
                     (col.typeAttributes?.label?.fieldName || this.columns[0].fieldName) : 
                     col.fieldName;
+                const value = processedRecord[fieldName];
+                if (value == null || value === '') {
+                    return;
+                }
                     
-                if (col.isDateTime && processedRecord[fieldName]) {
-                    processedRecord[fieldName] = this.formatDateTime(processedRecord[fieldName]);
-                } else if (col.isDate && processedRecord[fieldName]) {
-                    processedRecord[fieldName] = this.formatDate(processedRecord[fieldName]);
+                if (col.isDateTime) {
+                    rawValues[fieldName] = value;
+                    processedRecord[fieldName] = this.formatDateTime(value);
+                } else if (col.isDate) {
+                    rawValues[fieldName] = value;
+                    processedRecord[fieldName] = this.formatDate(value);
+                } else if (col.isTime) {
+                    rawValues[fieldName] = value;
+                    processedRecord[fieldName] = this.formatTime(value);
+                } else if (col.type === 'percent') {
+                    // Salesforce stores 25% as 25, the datatable expects 0.25
+                    rawValues[fieldName] = value;
+                    processedRecord[fieldName] = value / 100;
                 }
             });
+            processedRecord.rawValues = rawValues;
+            this.applyLookupValues(processedRecord);
+            this.applyRecordFormats(processedRecord);
 
-            // Add record URL for linking
-            if (this.enableRecordLinking && this.recordPageUrl && record.Id) {
-                processedRecord.recordUrl = this.buildRecordUrl(record.Id);
-            }
-            
-            // Flatten relationship fields for ARL mode
-            this.flattenRelationshipFieldsForARL(processedRecord, records.length > 0 ? records[0] : {});
-
-            // Add card display data - only when in cards mode
-            if (this.displayMode === 'cards') {
+            // Add card display data - only when cards are shown
+            if (this.usesCardData) {
                 processedRecord.cardData = this.buildCardData(processedRecord);
             }
 
@@ -1181,74 +1952,209 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         return this.getFlattenedFieldName(fieldApiName);
     }
 
+    // Account.Owner.Name -> Account_Owner_Name
     getFlattenedFieldName(fieldApiName) {
         if (fieldApiName.includes('.')) {
-            return fieldApiName.replace('.', '_');
+            return fieldApiName.replace(/\./g, '_');
         }
         return fieldApiName;
     }
 
-    flattenRelationshipFieldsForARL(record, sampleRecord) {
+    flattenRelationshipFieldsForARL(record) {
         this._perfMetrics.flattenARLCallCount++;
 
-        // Cache the relationship field mapping to avoid repeated processing
-        if (!this._cachedRelationshipFieldMap && sampleRecord) {
-            this._cachedRelationshipFieldMap = [];
-            const keysToProcess = Object.keys(sampleRecord);
-            this._perfMetrics.flattenARLFieldsProcessed += keysToProcess.length;
-
-            keysToProcess.forEach(key => {
-                if (key.includes('.')) {
-                    const parts = key.split('.');
-                    this._cachedRelationshipFieldMap.push({
-                        originalKey: key,
-                        relationshipName: parts[0],
-                        fieldName: parts[1],
-                        flattenedFieldName: this.getFlattenedFieldName(key)
-                    });
-                }
-            });
+        // Cache the relationship field mapping to avoid repeated processing - Apex returns related
+        // records nested (record.Account.Owner.Name), so the paths come from the columns
+        if (!this._cachedRelationshipFieldMap || this._relationshipFieldMapSource !== this.columns) {
+            this._relationshipFieldMapSource = this.columns;
+            this._cachedRelationshipFieldMap = this.columns
+                .filter(col => col.fieldApiName?.includes('.'))
+                .map(col => ({
+                    originalKey: col.fieldApiName,
+                    flattenedFieldName: this.getFlattenedFieldName(col.fieldApiName)
+                }));
+            this._perfMetrics.flattenARLFieldsProcessed += this._cachedRelationshipFieldMap.length;
         }
 
         // Use cached mapping to process record
-        if (this._cachedRelationshipFieldMap) {
-            this._cachedRelationshipFieldMap.forEach(mapping => {
-                // Extract the value from the nested relationship
-                if (record[mapping.relationshipName] && record[mapping.relationshipName][mapping.fieldName] !== undefined) {
-                    record[mapping.flattenedFieldName] = record[mapping.relationshipName][mapping.fieldName];
-                    this.debugLog(`Flattened ARL field ${mapping.originalKey} -> ${mapping.flattenedFieldName}: ${record[mapping.flattenedFieldName]}`);
-                } else {
-                    record[mapping.flattenedFieldName] = null;
-                    this.debugLog(`Flattened ARL field ${mapping.originalKey} -> ${mapping.flattenedFieldName}: null (no data)`);
-                }
-            });
+        this._cachedRelationshipFieldMap.forEach(mapping => {
+            record[mapping.flattenedFieldName] = this.getFieldPathValue(record, mapping.originalKey);
+            this.debugLog(`Flattened ARL field ${mapping.originalKey} -> ${mapping.flattenedFieldName}: ${record[mapping.flattenedFieldName]}`);
+        });
+    }
+
+    // ===== LIST CACHE =====
+
+    // One entry per first page the server was asked for - the dataSignature inputs plus the current sort and page size.
+    // Searches aren't cached, each term would be an entry of its own. The object type follows from the record Id
+    // and is left out, so a list first loaded before the type was known still hits the same entry.
+    getListCacheKey(request) {
+        if (this.cacheTtlMinutes === 0 || request.searchTerm) {
+            return null;
         }
+        return `${LIST_CACHE_PREFIX}${request.recordId}|${JSON.stringify({ ...request, objectApiName: null })}`;
     }
 
-    // ===== SHARED DATA PROCESSING METHODS =====
+    readListCache(cacheKey) {
+        const entry = cacheKey ? this.readSessionCache(cacheKey) : null;
+        if (!entry) {
+            return null;
+        }
+        if (Date.now() - entry.savedAt > this.cacheTtlMinutes * 60000) {
+            this.removeSessionCache(cacheKey);
+            return null;
+        }
+        return entry;
+    }
 
-    flattenRecords(records) {
-        this.debugLog('Flattening records:', records);
+    // The permissions that shape the columns are kept with the rows, so a cached list renders without waiting for them
+    writeListCache(cacheKey, response) {
+        if (!cacheKey) {
+            return;
+        }
+        this.pruneListCache(cacheKey);
+        this.writeSessionCache(cacheKey, {
+            savedAt: Date.now(),
+            response: response,
+            canDeleteRecords: this.canDeleteRecords,
+            newRecordInfo: this.newRecordInfo
+        });
+    }
 
-        return records.map(record => {
-            const flatRecord = { ...record };
+    async revalidateListCache(request, cacheKey, cached) {
+        try {
+            const [response] = await Promise.all([getRelatedListInfo(request), this.loadListPermissions()]);
+            this.writeListCache(cacheKey, response);
+
+            // The list has moved on (another sort or filter, more pages, unsaved edits) - the fresh copy is only kept for next time
+            const cachedRecords = cached.response.records || [];
+            if (this.getListCacheKey(this.buildARLRequest(0, request.limitParam)) !== cacheKey ||
+                this.allRecords.length !== cachedRecords.length ||
+                this.draftValues.length > 0) {
+                return;
+            }
 
-            // Format datetime and date fields
-            this.columns.forEach(col => {
-                if (col.isDateTime && flatRecord[col.fieldName]) {
-                    flatRecord[col.fieldName] = this.formatDateTime(flatRecord[col.fieldName]);
-                } else if (col.isDate && flatRecord[col.fieldName]) {
-                    flatRecord[col.fieldName] = this.formatDate(flatRecord[col.fieldName]);
-                }
-            });
+            const permissionsChanged = this.canDeleteRecords !== cached.canDeleteRecords ||
+                JSON.stringify(this.newRecordInfo) !== JSON.stringify(cached.newRecordInfo);
+            if (permissionsChanged || JSON.stringify(response.fields) !== JSON.stringify(cached.response.fields)) {
+                this.debugLog('Cached columns are out of date, rebuilding the list');
+                this.applyARLResponse(response, false);
+                return;
+            }
+            this.mergeRevalidatedRecords(response, cachedRecords);
+        } catch (error) {
+            // The cached rows stay on screen - the next load asks the server again
+            this.logError('Error revalidating cached list:', error);
+        }
+    }
+
+    // Only rows whose server data changed are rebuilt, the rest keep their row objects
+    mergeRevalidatedRecords(response, cachedRecords) {
+        const records = response.records || [];
+        const cachedById = new Map(cachedRecords.map(record => [record.Id, JSON.stringify(record)]));
+        const currentById = new Map(this.allRecords.map(record => [record.Id, record]));
+        const changedRecords = records.filter(record =>
+            !currentById.has(record.Id) || cachedById.get(record.Id) !== JSON.stringify(record)
+        );
+
+        this.serverHasMoreRecords = response.hasMoreRecords || false;
+        this.totalRecordCount = response.totalRecordCount != null ? response.totalRecordCount : null;
+        if (changedRecords.length === 0 && records.length === cachedRecords.length) {
+            this.debugLog('Cached list is up to date');
+            return;
+        }
+
+        this.debugLog(`Revalidated list: ${changedRecords.length} changed rows`);
+        const changedById = new Map(this.processARLRecords(changedRecords).map(record => [record.Id, record]));
+        this.allRecords = records.map(record => changedById.get(record.Id) || currentById.get(record.Id));
+        this.hasData = this.allRecords.length > 0;
+        this.updateDisplayedRecords();
+    }
+
+    // Expired entries go, and only the newest ones are kept, so cached lists can't fill the storage quota
+    pruneListCache(cacheKey) {
+        try {
+            const now = Date.now();
+            const maxAge = this.cacheTtlMinutes * 60000;
+            const entries = Object.keys(window.sessionStorage)
+                .filter(key => key.startsWith(LIST_CACHE_PREFIX) && key !== cacheKey)
+                .map(key => ({ key: key, savedAt: this.readSessionCache(key)?.savedAt || 0 }))
+                .sort((a, b) => b.savedAt - a.savedAt);
+
+            entries
+                .filter((entry, index) => now - entry.savedAt > maxAge || index >= LIST_CACHE_MAX_ENTRIES - 1)
+                .forEach(entry => window.sessionStorage.removeItem(entry.key));
+        } catch (error) {
+            this.logError('Error pruning cached lists:', error);
+        }
+    }
+
+    // Called after this component changes or deletes records, so no cached copy of this record's lists shows old rows
+    invalidateListCache() {
+        try {
+            const prefix = `${LIST_CACHE_PREFIX}${this.currentRecordId}|`;
+            Object.keys(window.sessionStorage)
+                .filter(key => key.startsWith(prefix))
+                .forEach(key => window.sessionStorage.removeItem(key));
+        } catch (error) {
+            this.logError('Error clearing cached lists:', error);
+        }
+    }
+
+    readSessionCache(key) {
+        try {
+            return JSON.parse(window.sessionStorage.getItem(key));
+        } catch (error) {
+            this.logError('Error reading cache:', error);
+            return null;
+        }
+    }
+
+    writeSessionCache(key, value) {
+        try {
+            window.sessionStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            // Storage can be unavailable (private browsing, quota) - the list is just loaded from the server next time
+            this.logError('Error writing cache:', error);
+        }
+    }
+
+    removeSessionCache(key) {
+        try {
+            window.sessionStorage.removeItem(key);
+        } catch (error) {
+            this.logError('Error removing cache entry:', error);
+        }
+    }
+
+    // ===== SHARED DATA PROCESSING METHODS =====
+
+    flattenRecords(records) {
+        this.debugLog('Flattening records:', records);
+
+        return records.map(record => {
+            const flatRecord = { ...record };
+            const rawValues = {};
+
+            // Format datetime and date fields
+            this.columns.forEach(col => {
+                if (col.isDateTime && flatRecord[col.fieldName]) {
+                    rawValues[col.fieldName] = flatRecord[col.fieldName];
+                    flatRecord[col.fieldName] = this.formatDateTime(flatRecord[col.fieldName]);
+                } else if (col.isDate && flatRecord[col.fieldName]) {
+                    rawValues[col.fieldName] = flatRecord[col.fieldName];
+                    flatRecord[col.fieldName] = this.formatDate(flatRecord[col.fieldName]);
+                }
+            });
+            flatRecord.rawValues = rawValues;
             
             // Add record URL for linking
             if (this.enableRecordLinking && this.recordPageUrl && record.Id) {
                 flatRecord.recordUrl = this.buildRecordUrl(record.Id);
             }
 
-            // Add card display data - only when in cards mode
-            if (this.displayMode === 'cards') {
+            // Add card display data - only when cards are shown
+            if (this.usesCardData) {
                 flatRecord.cardData = this.buildCardData(flatRecord);
             }
 
@@ -1259,8 +2165,8 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
     buildCardData(record) {
         this._perfMetrics.cardDataGenerationCount++;
 
-        // Track if we're wasting effort (not in cards mode)
-        if (this.displayMode !== 'cards') {
+        // Track if we're wasting effort (not in cards or kanban mode)
+        if (!this.usesCardData) {
             this._perfMetrics.cardDataWastedCount++;
         }
 
@@ -1275,8 +2181,10 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
             titleFieldName = firstCol.typeAttributes.label.fieldName;
         }
         
+        const formats = this.getRecordFormats(record);
         const cardData = {
-            title: record[titleFieldName] || '',
+            title: this.formatFieldValue(this.getRawValue(record, titleFieldName), firstCol, record),
+            titleStyle: formats[firstCol.fieldName]?.style || '',
             fields: []
         };
         
@@ -1288,10 +2196,14 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
                 fieldName = col.typeAttributes.label.fieldName;
             }
             
+            const format = formats[col.fieldName];
             cardData.fields.push({
                 key: `field-${i}`,
-                label: col.label,
-                value: record[fieldName] || ''
+                label: col.baseLabel || col.label,
+                value: this.formatFieldValue(this.getRawValue(record, fieldName), col, record),
+                valueClass: format?.badge ? 'card-value slds-badge' : 'card-value',
+                valueStyle: format?.style || '',
+                iconName: format?.iconName
             });
         }
         
@@ -1334,7 +2246,7 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
                 };
 
                 // Add cardData for cards display mode
-                if (this.displayMode === 'cards') {
+                if (this.usesCardData) {
                     articleRecord.cardData = this.buildCardData(articleRecord);
                 }
 
@@ -1505,24 +2417,38 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
     
     clearData() {
         this.allRecords = [];
+        this.aggregateValues = [];
         this.displayedRecords = [];
         this.columns = [];
         this.hasData = false;
         this.hasMoreRecords = false;
         this.serverHasMoreRecords = false;
+        this.totalRecordCount = null;
         this.currentOffset = 0;
-        this.clearSort();
+        this.draftValues = [];
+        this.tableErrors = null;
+        this.selectedRowIds = [];
+        this.pendingRealTimeIds = [];
+        this.realTimeNeedsRefresh = false;
         // Clear cached field mapping for performance optimization
         this._cachedRelationshipFieldMap = null;
     }
     
-    buildRecordUrl(recordId) {
-        if (!this.recordPageUrl || !recordId) {
+    // objectApiName fills an :objectApiName placeholder, lowercased like LWR object page routes (/account/:recordId)
+    buildRecordUrl(recordId, pageUrl = this.recordPageUrl, objectApiName = this.relatedObjectType) {
+        if (!pageUrl || !recordId) {
             return null;
         }
 
         const siteBaseUrl = this.getSiteBaseUrl();
-        let recordPath = this.recordPageUrl;
+        let recordPath = pageUrl;
+
+        if (OBJECT_PLACEHOLDER_PATTERN.test(recordPath)) {
+            if (!objectApiName) {
+                return null;
+            }
+            recordPath = recordPath.replace(OBJECT_PLACEHOLDER_PATTERN, objectApiName.toLowerCase());
+        }
 
         // Replace placeholders
         if (recordPath.includes(':recordId')) {
@@ -1545,11 +2471,14 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         const pageSize = this.initialRecordsToLoad;
         const endIndex = this.currentOffset + pageSize;
 
-        this.displayedRecords = this.allRecords.slice(0, endIndex);
+        // Page through the search matches when a client-side search is active
+        const sourceRecords = this.getSearchFilteredRecords();
+
+        this.displayedRecords = sourceRecords.slice(0, endIndex);
         this.hasData = this.displayedRecords.length > 0;
 
         // Calculate hasMoreRecords based on both client-side and server-side state
-        const hasMoreClientRecords = endIndex < this.allRecords.length;
+        const hasMoreClientRecords = endIndex < sourceRecords.length;
 
         // hasMoreRecords is true when:
         // 1. We have more client-side records to display (not yet shown), OR
@@ -1565,7 +2494,7 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
             this.hasMoreRecords = false;
         }
 
-        this.debugLog(`Showing ${this.displayedRecords.length} of ${this.allRecords.length} records, serverHasMore: ${this.serverHasMoreRecords}, hasMore: ${this.hasMoreRecords}`);
+        this.debugLog(`Showing ${this.displayedRecords.length} of ${sourceRecords.length} records, serverHasMore: ${this.serverHasMoreRecords}, hasMore: ${this.hasMoreRecords}`);
     }
     
     mapFieldTypeToDataTableType(fieldType) {
@@ -1577,11 +2506,12 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
             'URL': 'url',
             'CURRENCY': 'currency',
             'PERCENT': 'percent',
-            'NUMBER': 'text',
+            'NUMBER': 'number',
             'DOUBLE': 'number',
             'INTEGER': 'number',
-            'DATE': 'text',
-            'DATETIME': 'text',
+            'LONG': 'number',
+            'DATE': 'date-local',
+            'DATETIME': 'date',
             'TIME': 'text',
             'BOOLEAN': 'boolean',
             'PICKLIST': 'text',
@@ -1592,17 +2522,45 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         return typeMap[fieldType?.toUpperCase()] || 'text';
     }
 
+    // Datatable type attributes for a Salesforce field type, following the user's locale and time zone
+    getTypeAttributes(fieldType) {
+        const dateOptions = {
+            year: 'numeric',
+            month: DATE_FORMAT_MONTHS[this.dateFormat],
+            day: 'numeric'
+        };
+        const numberOptions = this.numberDecimalPlaces == null ? {} : {
+            minimumFractionDigits: this.numberDecimalPlaces,
+            maximumFractionDigits: this.numberDecimalPlaces
+        };
+
+        switch (fieldType) {
+            case 'DATE':
+                return dateOptions;
+            case 'DATETIME':
+                return { ...dateOptions, hour: 'numeric', minute: '2-digit', timeZone: TIMEZONE };
+            case 'CURRENCY':
+                return {
+                    ...numberOptions,
+                    currencyCode: this.isMultiCurrency ? { fieldName: 'CurrencyIsoCode' } : CURRENCY
+                };
+            case 'DOUBLE':
+            case 'INTEGER':
+            case 'LONG':
+            case 'PERCENT':
+                return Object.keys(numberOptions).length > 0 ? numberOptions : null;
+            default:
+                return null;
+        }
+    }
+
     formatDate(dateString) {
         if (!dateString) return '';
         
         try {
-            const date = new Date(dateString);
-            // Format as M/D/YYYY
-            return date.toLocaleDateString('en-US', {
-                month: 'numeric',
-                day: 'numeric',
-                year: 'numeric'
-            });
+            // Date-only values are midnight UTC - formatting them in the user's zone could show the day before
+            return new Intl.DateTimeFormat(LOCALE, { ...this.getTypeAttributes('DATE'), timeZone: 'UTC' })
+                .format(new Date(dateString));
         } catch (error) {
             return dateString;
         }
@@ -1612,19 +2570,78 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         if (!dateTimeString) return '';
         
         try {
-            const date = new Date(dateTimeString);
-            return date.toLocaleString('en-US', {
-                month: 'numeric',
-                day: 'numeric',
-                year: 'numeric',
-                hour: 'numeric',
-                minute: '2-digit',
-                hour12: true
-            });
+            return new Intl.DateTimeFormat(LOCALE, this.getTypeAttributes('DATETIME'))
+                .format(new Date(dateTimeString));
         } catch (error) {
             return dateTimeString;
         }
     }
+
+    // Time fields (HH:mm:ss.SSSZ) have no date or time zone of their own
+    formatTime(timeString) {
+        if (!timeString) return '';
+
+        try {
+            const time = timeString.endsWith('Z') ? timeString : timeString + 'Z';
+            return new Intl.DateTimeFormat(LOCALE, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })
+                .format(new Date(`1970-01-01T${time}`));
+        } catch {
+            return timeString;
+        }
+    }
+
+    // Display text for a value outside the datatable, e.g. on cards
+    formatFieldValue(value, column, record) {
+        if (value == null || value === '') {
+            return '';
+        }
+
+        try {
+            const decimalPlaces = this.numberDecimalPlaces;
+            const numberOptions = decimalPlaces == null ? {} : { minimumFractionDigits: decimalPlaces, maximumFractionDigits: decimalPlaces };
+
+            // Cards show text - lookups by their related name, rich text without its markup
+            if (column.cellType === 'lookup') {
+                return record[LOOKUP_NAME_PREFIX + column.fieldName] || value;
+            }
+            if (column.cellType === 'richText') {
+                return String(value).replace(HTML_TAG_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+            }
+
+            // Columns built without a Salesforce field type only flag their dates
+            let fieldType = column.fieldType;
+            if (!fieldType && column.isDate) {
+                fieldType = 'DATE';
+            } else if (!fieldType && column.isDateTime) {
+                fieldType = 'DATETIME';
+            }
+
+            switch (fieldType) {
+                case 'DATE':
+                    return this.formatDate(value);
+                case 'DATETIME':
+                    return this.formatDateTime(value);
+                case 'TIME':
+                    return this.formatTime(value);
+                case 'CURRENCY':
+                    return new Intl.NumberFormat(LOCALE, {
+                        ...numberOptions,
+                        style: 'currency',
+                        currency: (this.isMultiCurrency && record.CurrencyIsoCode) || CURRENCY
+                    }).format(value);
+                case 'PERCENT':
+                    return new Intl.NumberFormat(LOCALE, { ...numberOptions, style: 'percent' }).format(value / 100);
+                case 'DOUBLE':
+                case 'INTEGER':
+                case 'LONG':
+                    return new Intl.NumberFormat(LOCALE, numberOptions).format(value);
+                default:
+                    return value;
+            }
+        } catch {
+            return value;
+        }
+    }
     
     // ===== EVENT HANDLERS =====
     
@@ -1637,6 +2654,8 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         // Set a flag to prevent renderedCallback from interfering
         this.isRefreshing = true;
 
+        // A manual refresh always goes to the server
+        this.invalidateListCache();
         this.clearData();
 
         // Force reload by resetting signatures
@@ -1646,8 +2665,8 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         // Reset metrics for this refresh cycle
         this._perfMetrics.relatedListLabelAccessCount = 0;
         this._perfMetrics.relatedListLabelCacheHits = 0;
-        this._perfMetrics.customFieldNamesListAccessCount = 0;
-        this._perfMetrics.customFieldNamesListCacheHits = 0;
+        this._perfMetrics.columnDefinitionsAccessCount = 0;
+        this._perfMetrics.columnDefinitionsCacheHits = 0;
         this._perfMetrics.sortOperationCount = 0;
         this._perfMetrics.sortOptimizationSavings = 0;
         this._perfMetrics.configGetterAccessCount = 0;
@@ -1662,7 +2681,7 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         this._cachedDataSignature = null;
         this._cachedUiSignature = null;
 
-        this.loadData().finally(() => {
+        return this.loadData().finally(() => {
             this.isRefreshing = false;
             // Log performance metrics after refresh completes
             setTimeout(() => {
@@ -1685,11 +2704,11 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
             : '0.0';
         console.log(`  - Cache hit rate: ${labelHitRate}%`);
 
-        console.log(`\n✓ FIX #7: Cached customFieldNamesList`);
-        console.log(`  - List accesses: ${this._perfMetrics.customFieldNamesListAccessCount}`);
-        console.log(`  - Cache hits: ${this._perfMetrics.customFieldNamesListCacheHits}`);
-        const listHitRate = this._perfMetrics.customFieldNamesListAccessCount > 0
-            ? ((this._perfMetrics.customFieldNamesListCacheHits / this._perfMetrics.customFieldNamesListAccessCount) * 100).toFixed(1)
+        console.log(`\n✓ FIX #7: Cached columnDefinitions`);
+        console.log(`  - List accesses: ${this._perfMetrics.columnDefinitionsAccessCount}`);
+        console.log(`  - Cache hits: ${this._perfMetrics.columnDefinitionsCacheHits}`);
+        const listHitRate = this._perfMetrics.columnDefinitionsAccessCount > 0
+            ? ((this._perfMetrics.columnDefinitionsCacheHits / this._perfMetrics.columnDefinitionsAccessCount) * 100).toFixed(1)
             : '0.0';
         console.log(`  - Cache hit rate: ${listHitRate}%`);
 
@@ -1748,16 +2767,33 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         this.isLoadingMore = true;
 
         try {
-            // Simple client-side pagination - all records already loaded (up to 50)
-            this.debugLog('>>> Displaying more client-side records');
-            this.currentOffset += this.initialRecordsToLoad;
-            this.updateDisplayedRecords();
+            await this.showNextPage();
         } catch (error) {
             this.logError('Error loading more records:', error);
+            this.showToast('Error', 'Failed to load more records: ' + (error.body?.message || error.message), 'error');
         } finally {
             this.isLoadingMore = false;
         }
     }
+
+    // Shared by Load More and infinite scroll: reveal the next batch of loaded records,
+    // fetching the next server page first when the loaded records run out
+    async showNextPage() {
+        const nextEndIndex = this.currentOffset + (this.initialRecordsToLoad * 2);
+        const needsServerPage = nextEndIndex > this.getSearchFilteredRecords().length &&
+            this.serverHasMoreRecords &&
+            this.isStandardType;
+
+        if (needsServerPage) {
+            this.debugLog('>>> Fetching next server page at offset', this.allRecords.length);
+            await this.loadDataWithARL(true);
+        } else {
+            this.debugLog('>>> Displaying more client-side records');
+        }
+
+        this.currentOffset += this.initialRecordsToLoad;
+        this.updateDisplayedRecords();
+    }
     
     handleViewAll() {
         this.debugLog('View All clicked');
@@ -1770,26 +2806,42 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
             // Fall back to showing all records in current table
             this.debugLog('No View All URL configured, showing all records in table');
             if (this.allRecords.length > 0) {
-                this.displayedRecords = [...this.allRecords];
-                this.hasMoreRecords = false;
+                this.displayedRecords = [...this.getSearchFilteredRecords()];
+                // Records still on the server remain reachable through Load More
+                this.hasMoreRecords = this.serverHasMoreRecords;
                 this.debugLog('Showing all', this.displayedRecords.length, 'records');
             }
         }
     }
 
+    // The datatable's sort event doesn't say whether shift was held, so the header click is watched here
+    handleTableMouseDown(event) {
+        this._isShiftSort = event.shiftKey;
+    }
+
     handleSort(event) {
         try {
             const { fieldName: sortedBy, sortDirection } = event.detail;
-            this.debugLog('Column sort requested:', sortedBy, sortDirection);
+            const isShiftSort = this._isShiftSort;
+            this._isShiftSort = false;
+            this.debugLog('Column sort requested:', sortedBy, sortDirection, isShiftSort ? '(secondary)' : '');
 
-            this.sortedBy = sortedBy;
-            this.sortDirection = sortDirection;
+            this.updateSortCriteria(sortedBy, sortDirection, isShiftSort);
+            this.applySortToColumns();
+            this.saveSort();
 
             // Preserve the number of records currently displayed
             const currentlyDisplayedCount = this.displayedRecords.length;
 
+            if (this.serverHasMoreRecords && this.isStandardType) {
+                // Only part of the list is loaded - sorting it locally would put later server
+                // pages out of order, so let the server sort and reload what was already loaded
+                this.sortOnServer(currentlyDisplayedCount);
+                return;
+            }
+
             // Sort the allRecords array
-            this.sortData(sortedBy, sortDirection);
+            this.sortData();
 
             // Calculate offset to maintain the same number of visible records
             // currentOffset represents how many additional pages have been loaded beyond the first
@@ -1801,23 +2853,34 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         }
     }
 
-    sortData(fieldName, direction) {
+    async sortOnServer(currentlyDisplayedCount) {
+        this.debugLog('Sorting on server:', this.sortCriteria);
+        this.isLoadingMore = true;
+
         try {
-            this._perfMetrics.sortOperationCount++;
-            this.debugLog('Sorting data by field:', fieldName, 'direction:', direction);
+            await this.loadDataWithARL(false, this.allRecords.length);
+            this.currentOffset = Math.max(0, currentlyDisplayedCount - this.initialRecordsToLoad);
+            this.updateDisplayedRecords();
+        } catch (error) {
+            this.logError('Error sorting on server:', error);
+            this.showToast('Error', 'Failed to sort records: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLoadingMore = false;
+        }
+    }
 
-            // Fix #8: Pre-extract and normalize all values ONCE before sorting
-            // This avoids calling getFieldValue() N*log(N) times during sort comparisons
-            const recordsWithValues = this.allRecords.map(record => {
-                let value = this.getFieldValue(record, fieldName);
+    sortData() {
+        try {
+            this._perfMetrics.sortOperationCount++;
+            this.debugLog('Sorting data by:', this.sortCriteria);
 
-                // Normalize the value once
-                if (value != null && typeof value !== 'string' && typeof value !== 'number') {
-                    value = String(value);
-                }
+            if (this.sortCriteria.length === 0) {
+                return;
+            }
 
-                return { record, value };
-            });
+            // Fix #8: Pre-extract and normalize all values ONCE before sorting
+            // This avoids calling getSortValues() N*log(N) times during sort comparisons
+            const recordsWithValues = this.allRecords.map(record => ({ record, values: this.getSortValues(record) }));
 
             // Track optimization savings
             const comparisonCount = Math.ceil(this.allRecords.length * Math.log2(this.allRecords.length));
@@ -1825,25 +2888,7 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
             this._perfMetrics.sortOptimizationSavings += savedExtractions;
 
             // Now sort using the pre-extracted values
-            recordsWithValues.sort((a, b) => {
-                const aVal = a.value;
-                const bVal = b.value;
-
-                // Handle null/undefined values
-                if (aVal == null && bVal == null) return 0;
-                if (aVal == null) return direction === 'asc' ? -1 : 1;
-                if (bVal == null) return direction === 'asc' ? 1 : -1;
-
-                // Perform comparison
-                let result = 0;
-                if (aVal < bVal) {
-                    result = -1;
-                } else if (aVal > bVal) {
-                    result = 1;
-                }
-
-                return direction === 'asc' ? result : -result;
-            });
+            recordsWithValues.sort((a, b) => this.compareSortValueLists(a.values, b.values));
 
             // Extract sorted records
             this.allRecords = recordsWithValues.map(item => item.record);
@@ -1854,6 +2899,168 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         }
     }
 
+    // Shift-click adds a column to the sort (or flips one already in it), a plain click replaces the sort
+    updateSortCriteria(fieldName, direction, isSecondary) {
+        const column = this.columns.find(col => col.fieldName === fieldName);
+        const criterion = { fieldName: fieldName, fieldApiName: column?.fieldApiName || null, direction: direction };
+
+        if (!isSecondary || this.sortCriteria.length === 0) {
+            this.sortCriteria = [criterion];
+            return;
+        }
+
+        const existingIndex = this.sortCriteria.findIndex(item => item.fieldName === fieldName);
+        if (existingIndex === -1) {
+            this.sortCriteria = [...this.sortCriteria, criterion];
+        } else if (existingIndex > 0) {
+            // The datatable only tracks the primary column, so flip secondary columns here
+            const existing = this.sortCriteria[existingIndex];
+            this.sortCriteria = this.sortCriteria.map((item, index) => (index === existingIndex ?
+                { ...existing, direction: existing.direction === 'asc' ? 'desc' : 'asc' } : item));
+        } else {
+            this.sortCriteria = [criterion, ...this.sortCriteria.slice(1)];
+        }
+    }
+
+    // Resolve saved and default sorts against the built columns, then number the secondary sort columns
+    applySortToColumns() {
+        this.sortCriteria = this.sortCriteria
+            .map(criterion => {
+                const column = this.columns.find(col => (criterion.fieldApiName ?
+                    col.fieldApiName?.toLowerCase() === criterion.fieldApiName.toLowerCase() :
+                    col.fieldName === criterion.fieldName));
+                return column ? { ...criterion, fieldName: column.fieldName, fieldApiName: column.fieldApiName || null } : null;
+            })
+            .filter(criterion => criterion);
+
+        const isMultiSort = this.sortCriteria.length > 1;
+        this.columns = this.columns.map(col => {
+            if (col.type === 'action') {
+                return col;
+            }
+            const baseLabel = col.baseLabel || col.label;
+            const sortIndex = this.sortCriteria.findIndex(criterion => criterion.fieldName === col.fieldName);
+            let label = baseLabel;
+            if (isMultiSort && sortIndex > 0) {
+                const arrow = this.sortCriteria[sortIndex].direction === 'asc' ? '\u2191' : '\u2193';
+                label = `${baseLabel} ${arrow}${sortIndex + 1}`;
+            }
+            return { ...col, baseLabel: baseLabel, label: label };
+        });
+
+        this.sortedBy = this.sortCriteria[0]?.fieldName || '';
+        this.sortDirection = this.sortCriteria[0]?.direction || 'asc';
+    }
+
+    // The user's last sort wins over the configured default sort
+    restoreSort() {
+        const defaultsKey = `${this.sortStorageKey}|${this.defaultSortField}|${this.defaultSortDirection}`;
+        if (this._sortDefaultsKey === defaultsKey) {
+            return;
+        }
+        this._sortDefaultsKey = defaultsKey;
+
+        const savedSort = this.loadSavedSort();
+        if (savedSort) {
+            this.sortCriteria = savedSort;
+        } else if (this.defaultSortField) {
+            this.sortCriteria = this.defaultSortField.split(',')
+                .map(fieldApiName => fieldApiName.trim())
+                .filter(fieldApiName => fieldApiName)
+                .map(fieldApiName => ({ fieldName: null, fieldApiName: fieldApiName, direction: this.defaultSortDirection }));
+        } else {
+            this.sortCriteria = [];
+        }
+        this.debugLog('Restored sort:', this.sortCriteria);
+    }
+
+    loadSavedSort() {
+        try {
+            const savedSort = JSON.parse(window.localStorage.getItem(this.sortStorageKey));
+            return Array.isArray(savedSort) && savedSort.length > 0 ? savedSort : null;
+        } catch (error) {
+            this.logError('Error reading saved sort:', error);
+            return null;
+        }
+    }
+
+    saveSort() {
+        try {
+            window.localStorage.setItem(this.sortStorageKey, JSON.stringify(this.sortCriteria));
+        } catch (error) {
+            // Storage can be unavailable (private browsing, quota) - the sort just isn't remembered
+            this.logError('Error saving sort:', error);
+        }
+    }
+
+    getSortValues(record) {
+        return this.sortCriteria.map(criterion => this.getSortValue(record, criterion.fieldName));
+    }
+
+    // Comparable value of a cell - numbers and dates as numbers, picklists by their defined order, text as is
+    getSortValue(record, fieldName) {
+        const column = this.columns.find(col => col.fieldName === fieldName);
+        const valueFieldName = column?.fieldName === 'recordUrl' ? column.typeAttributes?.label?.fieldName : fieldName;
+
+        let value = column?.cellType === 'lookup' ?
+            record[LOOKUP_NAME_PREFIX + fieldName] :
+            this.getRawValue(record, valueFieldName);
+        if (value === undefined) {
+            value = this.getFieldValue(record, valueFieldName);
+        }
+        if (value == null || value === '') {
+            return null;
+        }
+
+        const fieldType = column?.fieldType || column?.type;
+        if (NUMERIC_SORT_TYPES.includes(fieldType)) {
+            const number = Number(value);
+            return Number.isNaN(number) ? null : number;
+        }
+        if (DATE_SORT_TYPES.includes(fieldType) || column?.isDate || column?.isDateTime) {
+            const time = Date.parse(value);
+            return Number.isNaN(time) ? String(value) : time;
+        }
+        if (fieldType === 'BOOLEAN' || typeof value === 'boolean') {
+            return value === true || value === 'true' ? 1 : 0;
+        }
+        if (Array.isArray(column?.picklistValues)) {
+            const position = column.picklistValues.indexOf(value);
+            // Values no longer in the picklist sort after the defined ones
+            return position === -1 ? column.picklistValues.length : position;
+        }
+        return String(value);
+    }
+
+    compareSortValueLists(aValues, bValues) {
+        for (let i = 0; i < this.sortCriteria.length; i++) {
+            const result = this.compareSortValues(aValues[i], bValues[i], this.sortCriteria[i].direction);
+            if (result !== 0) {
+                return result;
+            }
+        }
+        return 0;
+    }
+
+    compareSortValues(aVal, bVal, direction) {
+        // Handle null/undefined values
+        if (aVal == null && bVal == null) return 0;
+        if (aVal == null) return direction === 'asc' ? -1 : 1;
+        if (bVal == null) return direction === 'asc' ? 1 : -1;
+
+        // Perform comparison - text by the user's locale, everything else numerically
+        let result = 0;
+        if (typeof aVal === 'string' && typeof bVal === 'string') {
+            result = this._sortCollator.compare(aVal, bVal);
+        } else if (aVal < bVal) {
+            result = -1;
+        } else if (aVal > bVal) {
+            result = 1;
+        }
+
+        return direction === 'asc' ? result : -result;
+    }
+
     getFieldValue(record, fieldName) {
         try {
             // Handle direct field access
@@ -1861,11 +3068,11 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
                 return record[fieldName];
             }
             
-            // Handle relationship fields (e.g., Account.Name)
+            // Handle relationship fields of any depth (e.g., Account.Owner.Name)
             if (fieldName.includes('.')) {
-                const [relationshipName, targetField] = fieldName.split('.');
-                if (record[relationshipName] && record[relationshipName][targetField]) {
-                    return record[relationshipName][targetField];
+                const value = this.getFieldPathValue(record, fieldName);
+                if (value) {
+                    return value;
                 }
             }
             
@@ -1885,11 +3092,6 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         }
     }
     
-    clearSort() {
-        this.sortedBy = '';
-        this.sortDirection = 'asc';
-    }
-
     handleLoadMore(event) {
         try {
             this._perfMetrics.infiniteScrollTriggerCount++;
@@ -1925,10 +3127,7 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
                 this.isLoadingMore = true;
 
                 try {
-                    // Simple client-side pagination - all records already loaded (up to 50)
-                    this.debugLog('>>> Infinite scroll displaying client-side records');
-                    this.currentOffset += this.initialRecordsToLoad;
-                    this.updateDisplayedRecords();
+                    await this.showNextPage();
                 } catch (error) {
                     this.logError('Error loading more records:', error);
                 } finally {
@@ -2061,46 +3260,2289 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         this.modalImageLoadError = '';
     }
 
-    // ===== DELETE FUNCTIONALITY =====
+    // ===== ACTIVITY HISTORY =====
 
-    async checkDeletePermission() {
-        try {
-            if (!this.detectedObjectType || !this.enableRecordDeletion) {
-                this.canDeleteRecords = false;
-                return;
+    // Site pages hosting customEmailDetail and customEventDetail, which read the ID after /emailmessage/ and /event/
+    get emailDetailPageUrl() {
+        return this.configObj.emailDetailPageUrl || '/emailmessage/:recordId';
+    }
+
+    get eventDetailPageUrl() {
+        return this.configObj.eventDetailPageUrl || '/event/:recordId';
+    }
+
+    get showActivityFilters() {
+        return this.isActivitiesType && !this.isLoading && !this.error && this.allRecords.length > 0;
+    }
+
+    get openActivityCount() {
+        return this.allRecords.filter(record => !record.isClosed).length;
+    }
+
+    get openActivitiesLabel() {
+        return `Open (${this.openActivityCount})`;
+    }
+
+    get closedActivitiesLabel() {
+        return `Closed (${this.allRecords.length - this.openActivityCount})`;
+    }
+
+    get activityTypeOptions() {
+        return [
+            { label: 'All Types', value: '' },
+            ...Object.keys(ACTIVITY_TYPES).map(type => ({ label: ACTIVITY_TYPES[type].label, value: type }))
+        ];
+    }
+
+    async loadActivities() {
+        this.debugLog('Loading activity history for record:', this.currentRecordId);
+
+        const activities = await getActivityHistory({ recordId: this.currentRecordId });
+        this.columns = this.buildActivityColumns();
+        this.allRecords = (activities || [])
+            .map(activity => this.buildActivityRecord(activity))
+            .sort((a, b) => this.compareSortValues(this.getActivityTime(a), this.getActivityTime(b), 'desc'));
+
+        this.currentOffset = 0;
+        this.updateDisplayedRecords();
+        this.debugLog(`Loaded ${this.allRecords.length} activities, displaying ${this.displayedRecords.length}`);
+    }
+
+    buildActivityColumns() {
+        const sortable = !this.columnSortingDisabled;
+        return [
+            {
+                label: 'Subject',
+                fieldName: 'recordUrl',
+                type: 'url',
+                typeAttributes: { label: { fieldName: 'subject' }, target: '_blank' },
+                cellAttributes: { iconName: { fieldName: 'iconName' } },
+                sortable: sortable,
+                wrapText: true
+            },
+            { label: 'Type', fieldName: 'typeLabel', type: 'text', sortable: sortable },
+            { label: 'Date', fieldName: 'activityDate', type: 'text', isDateTime: true, sortable: sortable },
+            { label: 'Status', fieldName: 'statusText', type: 'text', sortable: sortable },
+            { label: 'Name', fieldName: 'whoName', type: 'text', sortable: sortable },
+            { label: 'Assigned To', fieldName: 'ownerName', type: 'text', sortable: sortable },
+            {
+                type: 'action',
+                typeAttributes: {
+                    rowActions: (row, doneCallback) => {
+                        doneCallback(this.getActivityRowActions(row));
+                    }
+                },
+                fixedWidth: 60
             }
+        ];
+    }
 
-            this.canDeleteRecords = await canDeleteObject({
-                objectApiName: this.detectedObjectType
-            });
+    // Tasks and calls link to the record page, emails and events to their own detail pages
+    buildActivityRecord(activity) {
+        const activityType = ACTIVITY_TYPES[activity.activityType] || ACTIVITY_TYPES.Task;
+        let recordUrl = null;
+        if (activity.activityType === 'Email') {
+            recordUrl = this.buildRecordUrl(activity.id, this.emailDetailPageUrl);
+        } else if (activity.activityType === 'Event') {
+            recordUrl = this.buildRecordUrl(activity.id, this.eventDetailPageUrl);
+        } else if (this.enableRecordLinking) {
+            recordUrl = this.buildRecordUrl(activity.id);
+        }
 
-            this.debugLog('Delete permission check:', {
-                objectType: this.detectedObjectType,
-                canDelete: this.canDeleteRecords
-            });
+        return {
+            Id: activity.id,
+            activityType: activity.activityType,
+            typeLabel: activityType.label,
+            iconName: activityType.iconName,
+            subject: activity.subject || '(No Subject)',
+            recordUrl: recordUrl,
+            // Task due dates and all-day events have no time, so they're shown as dates
+            activityDate: activity.isAllDay ? this.formatDate(activity.activityDate) : this.formatDateTime(activity.activityDate),
+            rawValues: { activityDate: activity.activityDate },
+            isAllDay: activity.isAllDay,
+            isClosed: activity.isClosed,
+            statusText: activity.activityType === 'Email' ?
+                EMAIL_STATUS_LABELS[activity.status] || activity.status :
+                activity.status,
+            whoName: activity.whoName,
+            ownerName: activity.ownerName
+        };
+    }
 
-        } catch (error) {
-            this.logError('Error checking delete permission:', error);
-            this.canDeleteRecords = false;
+    getActivityTime(record) {
+        const time = Date.parse(record.rawValues?.activityDate);
+        return Number.isNaN(time) ? null : time;
+    }
+
+    getActivityRowActions(row) {
+        const actions = [];
+        if ((row.activityType === 'Task' || row.activityType === 'Call') && !row.isClosed) {
+            actions.push({ label: 'Complete', name: 'completeTask', iconName: 'utility:check' });
         }
+        if (row.activityType === 'Email') {
+            actions.push({ label: 'Open Email', name: 'openEmail', iconName: 'utility:email' });
+        } else if (row.activityType === 'Event') {
+            actions.push({ label: 'Open Event', name: 'openEvent', iconName: 'utility:event' });
+        } else if (row.recordUrl) {
+            actions.push({ label: 'View', name: 'openRecord', iconName: 'utility:preview' });
+        }
+        if (actions.length === 0) {
+            actions.push({ label: 'No actions available', name: 'none', disabled: true });
+        }
+        return actions;
     }
 
-    async handleDeleteRecord(recordId) {
-        if (!recordId) {
-            this.showToast('Error', 'No record ID provided', 'error');
-            return;
+    // Without a column sort, open activities run soonest first and closed ones most recent first
+    getActivityFilteredRecords() {
+        const records = this.allRecords.filter(record => this.matchesActivityFilters(record));
+        if (this.sortCriteria.length === 0) {
+            const direction = this.activityTab === 'open' ? 'asc' : 'desc';
+            records.sort((a, b) => this.compareSortValues(this.getActivityTime(a), this.getActivityTime(b), direction));
         }
+        return records;
+    }
 
-        this.debugLog('Deleting record:', recordId);
+    matchesActivityFilters(record) {
+        if (record.isClosed !== (this.activityTab === 'closed')) {
+            return false;
+        }
+        if (this.activityTypeFilter && record.activityType !== this.activityTypeFilter) {
+            return false;
+        }
+        if (!this.activityDateFrom && !this.activityDateTo) {
+            return true;
+        }
+
+        const rawDate = record.rawValues?.activityDate;
+        if (!rawDate) {
+            return false;
+        }
+        // Compare calendar days - in UTC for dates, in the user's time zone for date/times
+        const day = record.isAllDay ? rawDate.substring(0, 10) : this.getLocalDay(rawDate);
+        return (!this.activityDateFrom || day >= this.activityDateFrom) &&
+            (!this.activityDateTo || day <= this.activityDateTo);
+    }
+
+    // YYYY-MM-DD of a date/time in the user's time zone, comparable with the date inputs' values
+    getLocalDay(dateTimeString) {
+        return new Intl.DateTimeFormat('en-CA', { timeZone: TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit' })
+            .format(new Date(dateTimeString));
+    }
+
+    handleActivityTabChange(event) {
+        this.activityTab = event.target.value;
+        this.applyActivityFilters();
+    }
+
+    handleActivityTypeFilterChange(event) {
+        this.activityTypeFilter = event.detail.value;
+        this.applyActivityFilters();
+    }
 
+    handleActivityDateFromChange(event) {
+        this.activityDateFrom = event.detail.value || '';
+        this.applyActivityFilters();
+    }
+
+    handleActivityDateToChange(event) {
+        this.activityDateTo = event.detail.value || '';
+        this.applyActivityFilters();
+    }
+
+    applyActivityFilters() {
+        this.currentOffset = 0;
+        this.updateDisplayedRecords();
+    }
+
+    async handleCompleteTask(row) {
         try {
-            await deleteRecord({ recordId: recordId });
+            const status = await completeTask({ taskId: row.Id });
+            // Completed tasks are dated when they were done, matching getActivityHistory
+            const completedDate = new Date().toISOString();
+            this.replaceRecord({
+                ...row,
+                isClosed: true,
+                statusText: status,
+                activityDate: this.formatDateTime(completedDate),
+                rawValues: { activityDate: completedDate },
+                isAllDay: false
+            });
+            this.showToast('Success', `"${row.subject}" was completed`, 'success');
+        } catch (error) {
+            this.logError('Error completing task:', error);
+            const errorMessage = error.body?.message || error.message || 'Unknown error occurred';
+            this.dispatchErrorEvent('complete', errorMessage);
+            this.showToast('Error', 'Failed to complete task: ' + errorMessage, 'error');
+        }
+    }
 
-            // Remove from allRecords array
-            this.allRecords = this.allRecords.filter(record => record.Id !== recordId);
+    // ===== CUSTOM CELL TYPES =====
+
+    // Picks the relatedListFormattedCell type a field renders as, e.g. a lookup as its related name.
+    // typeOverride is the column's configured type, which can ask for a badge, progress bar or rich text.
+    setColumnCellType(column, field, typeOverride) {
+        const overrideCellType = COLUMN_TYPE_OVERRIDES[typeOverride]?.cellType;
+        if (!overrideCellType && field.type === 'REFERENCE' && field.referenceNameField) {
+            column.cellType = 'lookup';
+            column.referenceNameField = field.referenceNameField;
+            column.referencePhotoField = field.referencePhotoField;
+            column.referenceObjectType = field.referenceObjectType;
+            column.referenceTypeField = field.referenceTypeField;
+            column.cellTypeAttributes = {
+                label: { fieldName: LOOKUP_NAME_PREFIX + column.fieldName },
+                url: { fieldName: LOOKUP_URL_PREFIX + column.fieldName },
+                avatarUrl: { fieldName: LOOKUP_PHOTO_PREFIX + column.fieldName },
+                // Owner can also be a queue, which has no photo - the avatar falls back to initials
+                showAvatar: this.showOwnerAvatars && (!!field.referencePhotoField || field.apiName === 'OwnerId')
+            };
+        } else if (overrideCellType === 'richText' || (!overrideCellType && field.isHtml)) {
+            column.cellType = 'richText';
+        } else if (overrideCellType === 'picklist' ||
+            (this.showPicklistBadges && (field.type === 'PICKLIST' || field.type === 'MULTIPICKLIST'))) {
+            column.cellType = 'picklist';
+            column.cellTypeAttributes = { picklistValues: field.picklistValues || [] };
+        } else if (overrideCellType === 'percentBar' || (this.showPercentBars && field.type === 'PERCENT')) {
+            column.cellType = 'percentBar';
+        }
+    }
+
+    // Field as a column shows it - a type override drops what only the real type had (lookup names, HTML)
+    applyColumnTypeOverride(field, typeOverride) {
+        const fieldType = COLUMN_TYPE_OVERRIDES[typeOverride]?.fieldType;
+        if (!fieldType) {
+            return field;
+        }
+        return {
+            ...field,
+            type: fieldType,
+            isHtml: false,
+            referenceNameField: null,
+            referencePhotoField: null,
+            referenceObjectType: null,
+            referenceTypeField: null
+        };
+    }
+
+    // Related name, link and photo of each lookup cell, read from the relationship queried with the record.
+    // Polymorphic lookups (e.g. What) link to the object each record points to.
+    applyLookupValues(record) {
+        this.columns
+            .filter(col => col.cellType === 'lookup')
+            .forEach(col => {
+                const relatedId = record[col.fieldName];
+                const objectApiName = col.referenceObjectType || this.getFieldPathValue(record, col.referenceTypeField);
+                record[LOOKUP_NAME_PREFIX + col.fieldName] = this.getFieldPathValue(record, col.referenceNameField) || relatedId;
+                record[LOOKUP_URL_PREFIX + col.fieldName] = this.buildRecordUrl(relatedId, this.lookupPageUrl, objectApiName);
+                record[LOOKUP_PHOTO_PREFIX + col.fieldName] = col.referencePhotoField ?
+                    this.getFieldPathValue(record, col.referencePhotoField) :
+                    null;
+            });
+    }
+
+    // Value of a dotted path on an Apex record, e.g. Owner.Name -> record.Owner.Name
+    getFieldPathValue(record, fieldPath) {
+        if (!fieldPath) {
+            return null;
+        }
+        return fieldPath.split('.').reduce((value, part) => (value == null ? null : value[part]), record) ?? null;
+    }
+
+    // ===== CONDITIONAL FORMATTING =====
+
+    // With formatting rules or a custom cell type, data columns render through relatedListDatatable's
+    // formatted type. Editable ones edit in the input of their stock type there, see getFormattedEditAttributes.
+    get tableColumns() {
+        if (!this.isStandardType) {
+            return this.columns;
+        }
+        const hasRules = this.formattingRules.length > 0;
+        if (!hasRules && !this.columns.some(col => col.cellType)) {
+            return this.columns;
+        }
+        if (this._tableColumnsSource !== this.columns) {
+            this._tableColumnsSource = this.columns;
+            this._cachedTableColumns = this.columns.map(col => {
+                // Editable columns are converted too, so they keep their formats while being edited
+                if (col.type === 'action' || (!hasRules && !col.cellType)) {
+                    return col;
+                }
+                return {
+                    ...col,
+                    type: 'formatted',
+                    typeAttributes: {
+                        ...col.typeAttributes,
+                        ...col.cellTypeAttributes,
+                        ...(col.editable ? this.getFormattedEditAttributes(col) : {}),
+                        baseType: col.cellType || col.type,
+                        format: { fieldName: FORMAT_FIELD_PREFIX + col.fieldName }
+                    }
+                };
+            });
+        }
+        return this._cachedTableColumns;
+    }
+
+    // Editable formatted columns edit in the input of their stock type - picklists and checkboxes choose from a list
+    getFormattedEditAttributes(col) {
+        if (col.fieldType === 'PICKLIST') {
+            return { editOptions: (col.picklistValues || []).map(value => ({ label: value, value: value })) };
+        }
+        if (col.fieldType === 'BOOLEAN') {
+            return { editOptions: BOOLEAN_EDIT_OPTIONS };
+        }
+        return FORMATTED_EDIT_INPUTS[col.type] || FORMATTED_EDIT_INPUTS.text;
+    }
+
+    // Store each cell's format on the row, where the formatted type's typeAttributes read it
+    applyRecordFormats(record) {
+        const formats = this.getRecordFormats(record);
+        Object.keys(formats).forEach(fieldName => {
+            record[FORMAT_FIELD_PREFIX + fieldName] = formats[fieldName];
+        });
+    }
+
+    // Format of each column of a record from the rules it matches - row rules cover every column, later rules win
+    getRecordFormats(record) {
+        const rules = this.isStandardType ? this.formattingRules : [];
+        if (rules.length === 0) {
+            return {};
+        }
+
+        const dataColumns = this.columns.filter(col => col.type !== 'action');
+        const styles = {};
+        rules.forEach(rule => {
+            if (!this.matchesFormattingRule(rule, record)) {
+                return;
+            }
+            const fieldApiName = rule.field.toLowerCase();
+            dataColumns
+                .filter(col => rule.target === 'row' || col.fieldApiName?.toLowerCase() === fieldApiName)
+                .forEach(col => {
+                    styles[col.fieldName] = { ...styles[col.fieldName], ...rule.style };
+                });
+        });
+
+        const formats = {};
+        Object.keys(styles).forEach(fieldName => {
+            const { textColor, backgroundColor, iconName, badge } = styles[fieldName];
+            formats[fieldName] = {
+                style: [
+                    textColor ? `color: ${textColor};` : '',
+                    backgroundColor ? `background-color: ${backgroundColor};` : ''
+                ].join(' ').trim(),
+                iconName: iconName,
+                badge: badge === true
+            };
+        });
+        return formats;
+    }
+
+    matchesFormattingRule(rule, record) {
+        const value = this.getRowFieldValue(record, rule.field);
+        const isBlank = value == null || value === '';
+
+        switch (rule.operator) {
+            case 'isNull':
+                return isBlank;
+            case 'isNotNull':
+                return !isBlank;
+            case 'contains':
+                return !isBlank && String(value).toLowerCase().includes(String(rule.value).toLowerCase());
+            default:
+                break;
+        }
+        if (isBlank) {
+            return false;
+        }
+
+        const comparison = this.compareFormattingValue(value, rule.value);
+        if (comparison == null) {
+            return false;
+        }
+        switch (rule.operator) {
+            case 'notEquals':
+                return comparison !== 0;
+            case 'lessThan':
+                return comparison < 0;
+            case 'greaterThan':
+                return comparison > 0;
+            case 'lessOrEqual':
+                return comparison <= 0;
+            case 'greaterOrEqual':
+                return comparison >= 0;
+            default:
+                return comparison === 0;
+        }
+    }
+
+    // Numbers compare numerically, dates and date/times by calendar day (TODAY is today), anything else as text
+    compareFormattingValue(value, ruleValue) {
+        const target = String(ruleValue ?? '').trim();
+
+        if (typeof value === 'number') {
+            const number = Number(target);
+            return target === '' || Number.isNaN(number) ? null : Math.sign(value - number);
+        }
+
+        const text = String(value);
+        if (DATE_VALUE_PATTERN.test(text)) {
+            const day = text.length > 10 ? this.getLocalDay(text) : text;
+            const targetDay = target.toUpperCase() === 'TODAY' ? this.getLocalDay(new Date().toISOString()) : target;
+            if (!DATE_VALUE_PATTERN.test(targetDay)) {
+                return null;
+            }
+            return this._sortCollator.compare(day, targetDay.substring(0, 10));
+        }
+
+        return Math.sign(this._sortCollator.compare(text, target));
+    }
+
+    // ===== SUMMARY TOTALS =====
+
+    get showAggregates() {
+        return this.aggregateValues.length > 0 && (this.showTable || this.showCards || this.showKanban || this.showTimeline);
+    }
+
+    // Totals cover every record matching the filter and search, so they come from the server rather than allRecords
+    async loadAggregates() {
+        const requestId = ++this._aggregateRequestId;
+
+        if (!this.isStandardType || !this.aggregates || !this.detectedObjectType) {
+            this.aggregateValues = [];
+            return;
+        }
+
+        try {
+            const results = await getRelatedListAggregates({
+                objectApiName: this.detectedObjectType,
+                relatedListName: this.relatedListName,
+                recordId: this.currentRecordId,
+                relationshipField: this.relationshipField || '',
+                enabledFields: this.enabledFields || '',
+                searchTerm: this.searchTerm || '',
+                filterCriteria: this.filterCriteria,
+                aggregates: this.aggregates
+            });
+
+            // A newer request (search, delete, reload) has already been sent
+            if (requestId !== this._aggregateRequestId) {
+                return;
+            }
+            this.aggregateValues = (results || []).map((result, index) => this.buildAggregateValue(result, index));
+            this.debugLog('Loaded aggregates:', this.aggregateValues);
+        } catch (error) {
+            if (requestId === this._aggregateRequestId) {
+                this.aggregateValues = [];
+            }
+            this.logError('Error loading aggregates:', error);
+        }
+    }
+
+    buildAggregateValue(result, index) {
+        // The server drops aggregates it can't calculate, so custom labels are matched by function and field
+        const configured = (this.configObj.aggregates || []).find(aggregate =>
+            aggregate?.function?.toLowerCase() === result.function &&
+            (aggregate.field || 'Id').trim().toLowerCase() === result.field.toLowerCase() &&
+            aggregate.label);
+
+        const column = this.columns.find(col => col.fieldApiName?.toLowerCase() === result.field.toLowerCase());
+        const fieldLabel = column ? (column.baseLabel || column.label) : result.label;
+        const label = configured?.label ||
+            (result.field === 'Id' ? 'Records' : `${AGGREGATE_LABELS[result.function]} ${fieldLabel}`);
+
+        // Currency totals are in the corporate currency, passed the way a record passes its CurrencyIsoCode
+        const value = this.formatFieldValue(result.value, { fieldType: result.type }, { CurrencyIsoCode: result.currencyIsoCode });
+        return {
+            key: `aggregate-${index}`,
+            label: label,
+            value: value === '' ? '—' : String(value)
+        };
+    }
+
+    // ===== TIMELINE =====
+
+    get timelineGrouping() {
+        return ['day', 'week', 'month'].includes(this.configObj.timelineGrouping) ? this.configObj.timelineGrouping : 'day';
+    }
+
+    get timelineOrder() {
+        return this.configObj.timelineOrder === 'oldest' ? 'asc' : 'desc';
+    }
+
+    get timelineColumn() {
+        return this.getTimelineColumn(this.columns);
+    }
+
+    // The configured date field, or the first date column when none is set
+    getTimelineColumn(columns) {
+        const dateColumns = columns.filter(col =>
+            ['DATE', 'DATETIME'].includes(col.fieldType) || col.isDate || col.isDateTime);
+        const apiName = (this.configObj.timelineDateField || '').trim().toLowerCase();
+        if (!apiName) {
+            return dateColumns[0] || null;
+        }
+        return dateColumns.find(col => (col.fieldApiName || col.fieldName).toLowerCase() === apiName) || null;
+    }
+
+    // Server sort of timeline pages - the date column found in the last response, else the configured field
+    get timelineSortField() {
+        if (this.displayMode !== 'timeline' || !this.isStandardType) {
+            return null;
+        }
+        return this._timelineSortField || (this.configObj.timelineDateField || '').trim() || null;
+    }
+
+    get isTimelineMode() {
+        return this.displayMode === 'timeline' && (this.isStandardType || this.isEmailType) && !!this.timelineColumn;
+    }
+
+    get showTimeline() {
+        return this.isTimelineMode &&
+            !this.isLoading &&
+            !this.error &&
+            this.hasData &&
+            this.displayedRecords.length > 0;
+    }
+
+    // displayedRecords ordered by the date field and split into day, week or month sections
+    get timelineSections() {
+        const column = this.timelineColumn;
+        if (!column) {
+            return [];
+        }
+
+        const isDateOnly = column.fieldType === 'DATE' || column.isDate;
+        const items = this.displayedRecords.map(record => {
+            const time = this.getSortValue(record, column.fieldName);
+            return { record, time: typeof time === 'number' ? time : null };
+        });
+        items.sort((a, b) => this.compareSortValues(a.time, b.time, this.timelineOrder));
+
+        const sections = new Map();
+        items.forEach(({ record, time }) => {
+            const period = time == null ? null : this.getTimelinePeriod(time, isDateOnly);
+            const key = period ? period.key : 'none';
+            if (!sections.has(key)) {
+                sections.set(key, { key: `section-${key}`, label: period ? period.label : 'No Date', items: [] });
+            }
+            sections.get(key).items.push(this.buildTimelineItem(record, column));
+        });
+
+        // Records without a date go last whichever way the timeline runs
+        const undated = sections.get('none');
+        if (undated) {
+            sections.delete('none');
+            sections.set('none', undated);
+        }
+        return [...sections.values()];
+    }
+
+    // Day, week (starting Monday) or month a timestamp falls in, in the user's time zone - dates have no time zone
+    getTimelinePeriod(time, isDateOnly) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: isDateOnly ? 'UTC' : TIMEZONE,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric'
+        }).formatToParts(new Date(time));
+        const part = type => Number(parts.find(item => item.type === type).value);
+
+        let day = new Date(Date.UTC(part('year'), part('month') - 1, part('day')));
+        let options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+        let prefix = '';
+
+        if (this.timelineGrouping === 'week') {
+            day = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * 86400000);
+            options = { year: 'numeric', month: 'long', day: 'numeric' };
+            prefix = 'Week of ';
+        } else if (this.timelineGrouping === 'month') {
+            day = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+            options = { year: 'numeric', month: 'long' };
+        }
+
+        return {
+            key: day.toISOString().slice(0, 10),
+            label: prefix + new Intl.DateTimeFormat(LOCALE, { ...options, timeZone: 'UTC' }).format(day)
+        };
+    }
+
+    buildTimelineItem(record, column) {
+        const isExpanded = this.expandedTimelineIds.includes(record.Id);
+        const cardData = record.cardData || this.buildCardData(record);
+        const dateFieldName = column.fieldName === 'recordUrl' ? column.typeAttributes?.label?.fieldName : column.fieldName;
+
+        return {
+            id: record.Id,
+            title: cardData.title,
+            url: record.recordUrl,
+            dateLabel: this.formatFieldValue(this.getRawValue(record, dateFieldName), column, record),
+            iconName: this.getTimelineIcon(record),
+            fields: cardData.fields,
+            isExpanded: isExpanded,
+            ariaExpanded: String(isExpanded),
+            toggleIcon: isExpanded ? 'utility:chevrondown' : 'utility:chevronright'
+        };
+    }
+
+    getTimelineIcon(record) {
+        if (record.timelineIcon) {
+            return record.timelineIcon;
+        }
+        const objectType = this.isEmailType ? 'EmailMessage' : this.relatedObjectType;
+        return TIMELINE_ICONS[objectType] || DEFAULT_TIMELINE_ICON;
+    }
+
+    handleToggleTimelineItem(event) {
+        const recordId = event.currentTarget.dataset.id;
+        this.expandedTimelineIds = this.expandedTimelineIds.includes(recordId) ?
+            this.expandedTimelineIds.filter(id => id !== recordId) :
+            [...this.expandedTimelineIds, recordId];
+    }
+
+    // ===== KANBAN =====
+
+    get kanbanField() {
+        return (this.configObj.kanbanField || '').trim();
+    }
+
+    // Lanes come from the picklist's values, so the field has to be a displayed picklist
+    get kanbanColumn() {
+        const apiName = this.kanbanField.toLowerCase();
+        if (!apiName) {
+            return null;
+        }
+        return this.columns.find(col => col.fieldApiName?.toLowerCase() === apiName && Array.isArray(col.picklistValues)) || null;
+    }
+
+    get isKanbanMode() {
+        return this.displayMode === 'kanban' && this.isStandardType && !!this.kanbanColumn;
+    }
+
+    get showKanban() {
+        return this.isKanbanMode &&
+            !this.isLoading &&
+            !this.error &&
+            this.hasData &&
+            this.displayedRecords.length > 0;
+    }
+
+    // draggable is an enumerated attribute, so it takes 'true'/'false' rather than a boolean
+    get kanbanDraggable() {
+        return String(this.kanbanColumn?.updateable === true);
+    }
+
+    // One lane per picklist value in its defined order, then values no longer in the picklist, then blanks
+    get kanbanLanes() {
+        const column = this.kanbanColumn;
+        if (!column) {
+            return [];
+        }
+
+        const lanes = new Map(column.picklistValues.map(value => [value, []]));
+        this.displayedRecords.forEach(record => {
+            const value = this.getRowFieldValue(record, column.fieldApiName);
+            const key = value == null ? '' : String(value);
+            if (!lanes.has(key)) {
+                lanes.set(key, []);
+            }
+            lanes.get(key).push(record);
+        });
+
+        // Keep the blank lane last even when a record without a value came first
+        const blankRecords = lanes.get('');
+        if (blankRecords) {
+            lanes.delete('');
+            lanes.set('', blankRecords);
+        }
+
+        return [...lanes.entries()].map(([value, records]) => ({
+            key: `lane-${value}`,
+            value: value,
+            label: value || 'No Value',
+            records: records,
+            count: records.length,
+            className: this.kanbanDropLane === value ? 'kanban-lane kanban-lane_drop-target' : 'kanban-lane'
+        }));
+    }
+
+    handleKanbanDragStart(event) {
+        this._draggedRecordId = event.currentTarget.dataset.id;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', this._draggedRecordId);
+    }
+
+    handleKanbanDragEnd() {
+        this._draggedRecordId = null;
+        this.kanbanDropLane = null;
+    }
+
+    handleKanbanDragOver(event) {
+        if (!this._draggedRecordId) {
+            return;
+        }
+        // Allows the drop
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        this.kanbanDropLane = event.currentTarget.dataset.value;
+    }
+
+    handleKanbanDragLeave(event) {
+        if (!event.currentTarget.contains(event.relatedTarget)) {
+            this.kanbanDropLane = null;
+        }
+    }
+
+    // The card moves right away and moves back if the save fails
+    async handleKanbanDrop(event) {
+        event.preventDefault();
+        const recordId = this._draggedRecordId;
+        const newValue = event.currentTarget.dataset.value;
+        this._draggedRecordId = null;
+        this.kanbanDropLane = null;
+
+        const column = this.kanbanColumn;
+        const originalRecord = this.allRecords.find(record => record.Id === recordId);
+        if (!column || !originalRecord) {
+            return;
+        }
+
+        const currentValue = this.getRowFieldValue(originalRecord, column.fieldApiName);
+        if ((currentValue == null ? '' : String(currentValue)) === newValue) {
+            return;
+        }
+
+        this.debugLog('Moving record to lane:', recordId, newValue);
+        const moveId = (this._kanbanMoveIds.get(recordId) || 0) + 1;
+        this._kanbanMoveIds.set(recordId, moveId);
+        this.replaceRecord(this.buildMovedRecord(originalRecord, column, newValue));
+
+        try {
+            const result = await updateRelatedRecords({
+                objectApiName: this.relatedObjectType,
+                enabledFields: this.enabledFields || '',
+                draftValuesJSON: JSON.stringify([{ Id: recordId, [column.fieldApiName]: newValue || null }])
+            });
+            if (this._kanbanMoveIds.get(recordId) !== moveId) {
+                return;
+            }
+
+            const rowError = result.rowErrors?.[recordId];
+            if (rowError) {
+                this.rollBackKanbanMove(recordId, column, originalRecord, newValue);
+                const errorMessage = (rowError.messages || []).join(' ');
+                this.dispatchErrorEvent('move', errorMessage);
+                this.showToast('Error', 'Failed to move record: ' + errorMessage, 'error');
+                return;
+            }
+            this.mergeSavedRecords(result.records || []);
+
+        } catch (error) {
+            this.logError('Error moving record:', error);
+            if (this._kanbanMoveIds.get(recordId) !== moveId) {
+                return;
+            }
+            this.rollBackKanbanMove(recordId, column, originalRecord, newValue);
+            const errorMessage = error.body?.message || error.message || 'Unknown error occurred';
+            this.dispatchErrorEvent('move', errorMessage);
+            this.showToast('Error', 'Failed to move record: ' + errorMessage, 'error');
+        }
+    }
+
+    getKanbanFieldName(column) {
+        return column.fieldName === 'recordUrl' ? column.typeAttributes?.label?.fieldName : column.fieldName;
+    }
+
+    buildMovedRecord(record, column, newValue) {
+        const fieldName = this.getKanbanFieldName(column);
+        const movedRecord = {
+            ...record,
+            [fieldName]: newValue || null,
+            rawValues: { ...record.rawValues }
+        };
+        delete movedRecord.rawValues[fieldName];
+        movedRecord.cardData = this.buildCardData(movedRecord);
+        return movedRecord;
+    }
+
+    // Only the lane field goes back, on the row as it is now - edits and real-time updates made while the move
+    // was saving are kept, and so is a lane value that something else has changed since
+    rollBackKanbanMove(recordId, column, originalRecord, movedValue) {
+        const fieldName = this.getKanbanFieldName(column);
+        const currentRecord = this.allRecords.find(record => record.Id === recordId);
+        if (!currentRecord || (currentRecord[fieldName] || null) !== (movedValue || null)) {
+            return;
+        }
+
+        const restoredRecord = {
+            ...currentRecord,
+            [fieldName]: originalRecord[fieldName],
+            rawValues: { ...currentRecord.rawValues }
+        };
+        if (originalRecord.rawValues && Object.prototype.hasOwnProperty.call(originalRecord.rawValues, fieldName)) {
+            restoredRecord.rawValues[fieldName] = originalRecord.rawValues[fieldName];
+        }
+        restoredRecord.cardData = this.buildCardData(restoredRecord);
+        this.replaceRecord(restoredRecord);
+    }
+
+    replaceRecord(record) {
+        this.allRecords = this.allRecords.map(existing => (existing.Id === record.Id ? record : existing));
+        this.updateDisplayedRecords();
+    }
+
+    // ===== GROUPING =====
+
+    get groupByField() {
+        const groupByField = (this.configObj.groupByField || '').trim();
+        if (this.isFilesType) {
+            return FILE_GROUP_BY_FIELDS.includes(groupByField) ? groupByField : '';
+        }
+        // Articles and emails are always shown as a flat list
+        return this.isStandardType ? groupByField : '';
+    }
+
+    get isGrouped() {
+        return !!this.groupByField;
+    }
+
+    // Groups are remembered per configured list and group-by field
+    get groupStorageKey() {
+        return GROUP_STORAGE_PREFIX + [this.relatedListType, this.relatedListName, this.configObj.relatedListLabel || '', this.groupByField].join('|');
+    }
+
+    // displayedRecords split into groups - records keep their sorted order within each group
+    get recordGroups() {
+        if (!this.isGrouped) {
+            return [];
+        }
+
+        const apiName = this.groupByField.toLowerCase();
+        const column = this.columns.find(col => col.fieldApiName?.toLowerCase() === apiName);
+        const collapsedKeys = this.collapsedGroupKeys;
+        const groupsByKey = new Map();
+
+        this.displayedRecords.forEach(record => {
+            const value = this.getRowFieldValue(record, this.groupByField);
+            const key = value == null || value === '' ? '' : String(value);
+
+            if (!groupsByKey.has(key)) {
+                const label = column ? this.formatFieldValue(value, column, record) : value;
+                groupsByKey.set(key, {
+                    key: key,
+                    id: `group-${key}`,
+                    label: key === '' ? 'No Value' : String(label),
+                    sortValue: column ? this.getSortValue(record, column.fieldName) : key,
+                    records: []
+                });
+            }
+            groupsByKey.get(key).records.push(record);
+        });
+
+        // Groups follow the sort when it's on the group-by field, otherwise they're ascending; blanks go last
+        const primarySort = this.sortCriteria[0];
+        const groupDirection = column && primarySort?.fieldName === column.fieldName ? primarySort.direction : 'asc';
+        const groups = [...groupsByKey.values()].sort((a, b) => {
+            if (a.key === '' || b.key === '') {
+                return (a.key === '' ? 1 : 0) - (b.key === '' ? 1 : 0);
+            }
+            return this.compareSortValues(a.sortValue, b.sortValue, groupDirection);
+        });
+
+        return groups.map(group => {
+            const isExpanded = !collapsedKeys.includes(group.key);
+            const groupRowIds = new Set(group.records.map(record => record.Id));
+            return {
+                ...group,
+                count: group.records.length,
+                // Each group's table only gets its own rows' drafts, or every table would offer to save them
+                draftValues: this.draftValues.filter(draft => groupRowIds.has(draft.Id)),
+                isExpanded: isExpanded,
+                ariaExpanded: String(isExpanded),
+                iconName: isExpanded ? 'utility:chevrondown' : 'utility:chevronright'
+            };
+        });
+    }
+
+    // Cards and files render through groups either way - a flat list is a single group without a header
+    get displayGroups() {
+        if (!this.isGrouped) {
+            return [{ id: 'all-records', key: '', records: this.displayedRecords, isExpanded: true, showHeader: false }];
+        }
+        return this.recordGroups.map(group => ({ ...group, showHeader: true }));
+    }
+
+    handleToggleGroup(event) {
+        const groupKey = event.currentTarget.dataset.key;
+        const collapsedKeys = this.collapsedGroupKeys;
+
+        this.collapsedGroupKeys = collapsedKeys.includes(groupKey) ?
+            collapsedKeys.filter(key => key !== groupKey) :
+            [...collapsedKeys, groupKey];
+        this.saveCollapsedGroups();
+    }
+
+    // Each group's table only reports its own rows, so keep the selection made in the other groups
+    handleGroupRowSelection(event) {
+        const group = this.recordGroups.find(item => item.key === event.target.dataset.groupKey);
+        const groupRowIds = new Set((group?.records || []).map(row => row.Id));
+        const groupSelection = (event.detail.selectedRows || []).map(row => row.Id);
+
+        this.selectedRowIds = [
+            ...this.selectedRowIds.filter(recordId => !groupRowIds.has(recordId)),
+            ...groupSelection
+        ];
+        this.debugLog('Selected rows:', this.selectedRowIds);
+        this.publishSelectionChanged();
+    }
+
+    // Saved groups are read only when the list or its group-by field changes, not on every render
+    restoreCollapsedGroups() {
+        if (this._groupStateKey === this.groupStorageKey) {
+            return;
+        }
+        this._groupStateKey = this.groupStorageKey;
+        this.collapsedGroupKeys = this.loadCollapsedGroups();
+    }
+
+    loadCollapsedGroups() {
+        try {
+            const savedGroups = JSON.parse(window.localStorage.getItem(this.groupStorageKey));
+            return Array.isArray(savedGroups) ? savedGroups : [];
+        } catch (error) {
+            this.logError('Error reading saved groups:', error);
+            return [];
+        }
+    }
+
+    saveCollapsedGroups() {
+        try {
+            window.localStorage.setItem(this.groupStorageKey, JSON.stringify(this.collapsedGroupKeys));
+        } catch (error) {
+            // Storage can be unavailable (private browsing, quota) - the groups just aren't remembered
+            this.logError('Error saving groups:', error);
+        }
+    }
+
+    // ===== INLINE EDITING =====
+
+    get enableInlineEditing() {
+        return this.configObj.enableInlineEditing || false;
+    }
+
+    get editableFieldNames() {
+        return (this.configObj.editableFields || '')
+            .split(',')
+            .map(fieldName => fieldName.trim().toLowerCase())
+            .filter(fieldName => fieldName);
+    }
+
+    isFieldEditable(field, index) {
+        if (!this.enableInlineEditing || !this.isStandardType || this.displayMode !== 'table') {
+            return false;
+        }
+
+        // The linked first column renders as a URL, so it can't be edited in place
+        if (index === 0 && this.enableRecordLinking && this.recordPageUrl) {
+            return false;
+        }
+
+        return this.isFieldUpdatable(field);
+    }
+
+    // Shared by inline editing and mass update
+    isFieldUpdatable(field) {
+        // updateable comes from the user's field-level security
+        if (!field.updateable || !EDITABLE_FIELD_TYPES.includes(field.type)) {
+            return false;
+        }
+
+        const editableFieldNames = this.editableFieldNames;
+        return editableFieldNames.length === 0 || editableFieldNames.includes(field.apiName.toLowerCase());
+    }
+
+    async handleInlineEditSave(event) {
+        const draftValues = event.detail.draftValues || [];
+        if (draftValues.length === 0) {
+            return;
+        }
+
+        this.debugLog('Saving inline edits:', draftValues);
+        this.isLoadingMore = true;
+
+        try {
+            const result = await updateRelatedRecords({
+                objectApiName: this.relatedObjectType,
+                enabledFields: this.enabledFields || '',
+                draftValuesJSON: JSON.stringify(draftValues.map(draft => this.buildRecordUpdateFromDraft(draft)))
+            });
+
+            this.mergeSavedRecords(result.records || []);
+
+            // Keep the drafts of rows that failed so they can be corrected and saved again,
+            // and the unsaved drafts of other groups' tables
+            const rowErrors = result.rowErrors || {};
+            const failedIds = Object.keys(rowErrors);
+            const savedIds = new Set(draftValues.map(draft => draft.Id));
+            this.draftValues = [
+                ...this.draftValues.filter(draft => !savedIds.has(draft.Id)),
+                ...draftValues.filter(draft => failedIds.includes(draft.Id))
+            ];
+            this.tableErrors = this.buildTableErrors(rowErrors);
+
+            this.showBulkResultToast(draftValues.length - failedIds.length, failedIds.length, 'updated');
+
+        } catch (error) {
+            this.logError('Error saving inline edits:', error);
+            const errorMessage = error.body?.message || error.message || 'Unknown error occurred';
+            this.dispatchErrorEvent('save', errorMessage);
+            this.showToast('Error', 'Failed to save records: ' + errorMessage, 'error');
+        } finally {
+            this.isLoadingMore = false;
+        }
+    }
+
+    // Every table's edits are collected here, so saving or cancelling one group leaves the others' drafts alone
+    handleCellChange(event) {
+        const draftsById = new Map(this.draftValues.map(draft => [draft.Id, draft]));
+        (event.detail.draftValues || []).forEach(draft => {
+            draftsById.set(draft.Id, { ...draftsById.get(draft.Id), ...draft });
+        });
+        this.draftValues = [...draftsById.values()];
+    }
+
+    handleInlineEditCancel(event) {
+        if (event.target.dataset.groupKey === undefined) {
+            this.draftValues = [];
+        } else {
+            const tableRowIds = new Set((event.target.data || []).map(row => row.Id));
+            this.draftValues = this.draftValues.filter(draft => !tableRowIds.has(draft.Id));
+        }
+        this.tableErrors = null;
+    }
+
+    buildRecordUpdateFromDraft(draft) {
+        const recordUpdate = { Id: draft.Id };
+
+        Object.keys(draft).forEach(fieldName => {
+            const column = this.columns.find(col => col.fieldName === fieldName);
+            if (!column?.fieldApiName) {
+                return;
+            }
+
+            let value = draft[fieldName];
+            // The datatable edits percents as fractions, Salesforce stores them as whole numbers
+            if (column.type === 'percent' && value !== '' && value != null) {
+                value = Number(value) * 100;
+            }
+            recordUpdate[column.fieldApiName] = value;
+        });
+
+        return recordUpdate;
+    }
+
+    // Replace saved rows in place so the current sort order and page are kept
+    mergeSavedRecords(records) {
+        if (records.length === 0) {
+            return;
+        }
+
+        this.invalidateListCache();
+        const savedById = new Map(this.processARLRecords(records).map(record => [record.Id, record]));
+        this.allRecords = this.allRecords.map(record => savedById.get(record.Id) || record);
+        this.updateDisplayedRecords();
+        this.loadAggregates();
+    }
+
+    buildTableErrors(rowErrors) {
+        const failedIds = Object.keys(rowErrors);
+        if (failedIds.length === 0) {
+            return null;
+        }
+
+        const rows = {};
+        const tableMessages = [];
+        failedIds.forEach(recordId => {
+            const rowError = rowErrors[recordId];
+            const fieldNames = (rowError.fieldNames || [])
+                .map(apiName => this.columns.find(col => col.fieldApiName?.toLowerCase() === apiName.toLowerCase())?.fieldName)
+                .filter(fieldName => fieldName);
+
+            rows[recordId] = {
+                title: 'We found an error',
+                messages: rowError.messages,
+                fieldNames: fieldNames
+            };
+            tableMessages.push(...rowError.messages);
+        });
+
+        return {
+            rows: rows,
+            table: {
+                title: 'Your entry cannot be saved. Fix the errors and try again.',
+                messages: tableMessages
+            }
+        };
+    }
+
+    // ===== ROW ACTIONS =====
+
+    // Configured as rowActions: [{ label, type, url, flowApiName, conditionField, conditionOperator, conditionValue }]
+    get rowActions() {
+        const actions = Array.isArray(this.configObj.rowActions) ? this.configObj.rowActions : [];
+        return actions
+            .filter(action => action?.label && ROW_ACTION_TYPES[action?.type])
+            .map((action, index) => ({ ...action, name: `rowAction${index}` }));
+    }
+
+    get showRowActionMenu() {
+        return this.isStandardType &&
+               this.displayMode === 'table' &&
+               (this.rowActions.length > 0 || this.shouldShowDeleteAction);
+    }
+
+    get editRecordObjectApiName() {
+        return this.relatedObjectType;
+    }
+
+    get showEditRecordModal() {
+        return !!this.editRecordId;
+    }
+
+    async getRowActions(row) {
+        const access = await this.getRowRecordAccess(row.Id);
+
+        const menuItems = this.rowActions
+            .filter(action => this.isRowActionAvailable(action, row, access))
+            .map(action => ({
+                label: action.label,
+                name: action.name,
+                iconName: ROW_ACTION_TYPES[action.type].iconName
+            }));
+
+        if (this.shouldShowDeleteAction && access.canDelete) {
+            menuItems.push({ label: 'Delete', name: 'delete', iconName: 'utility:delete' });
+        }
+
+        if (menuItems.length === 0) {
+            menuItems.push({ label: 'No actions available', name: 'none', disabled: true });
+        }
+        return menuItems;
+    }
+
+    async getRowRecordAccess(recordId) {
+        if (!this._recordAccessCache.has(recordId)) {
+            try {
+                this._recordAccessCache.set(recordId, await getRecordAccess({ recordId: recordId }));
+            } catch (error) {
+                this.logError('Error checking record access:', error);
+                return { canEdit: false, canDelete: false, canCreate: false };
+            }
+        }
+        return this._recordAccessCache.get(recordId);
+    }
+
+    isRowActionAvailable(action, row, access) {
+        const requiredAccess = ROW_ACTION_TYPES[action.type].access;
+        if (requiredAccess && !access[requiredAccess]) {
+            return false;
+        }
+        if (action.type === 'view' && !this.recordPageUrl) {
+            return false;
+        }
+        if (action.type === 'clone' && !this.newRecordInfo?.createable) {
+            return false;
+        }
+        return this.matchesRowActionCondition(action, row);
+    }
+
+    matchesRowActionCondition(action, row) {
+        if (!action.conditionField) {
+            return true;
+        }
+
+        const value = this.getRowFieldValue(row, action.conditionField);
+        const isBlank = value == null || value === '';
+        const matchesValue = !isBlank && String(value).toLowerCase() === String(action.conditionValue ?? '').toLowerCase();
+
+        switch (action.conditionOperator) {
+            case 'notEquals':
+                return !matchesValue;
+            case 'isNull':
+                return isBlank;
+            case 'isNotNull':
+                return !isBlank;
+            default:
+                return matchesValue;
+        }
+    }
+
+    // Unformatted value of a field on a row, looked up by its API name
+    getRowFieldValue(row, fieldApiName) {
+        const apiName = fieldApiName.trim().toLowerCase();
+        if (apiName === 'id') {
+            return row.Id;
+        }
+
+        const column = this.columns.find(col => col.fieldApiName?.toLowerCase() === apiName);
+        if (!column) {
+            return row[fieldApiName.trim()];
+        }
+
+        const fieldName = column.fieldName === 'recordUrl' ? column.typeAttributes?.label?.fieldName : column.fieldName;
+        return this.getRawValue(row, fieldName);
+    }
+
+    runRowAction(action, row) {
+        this.debugLog('Running row action:', action.type, row.Id);
+
+        switch (action.type) {
+            case 'edit':
+                this.editRecordId = row.Id;
+                break;
+            case 'view':
+                this.navigateToUrl(this.buildRecordUrl(row.Id));
+                break;
+            case 'clone':
+                this.handleCloneRecord(row.Id);
+                break;
+            case 'url':
+                this.navigateToUrl(this.buildRowActionUrl(action.url, row));
+                break;
+            case 'flow':
+                if (!action.flowApiName) {
+                    this.showToast('Error', `No flow is configured for ${action.label}`, 'error');
+                    return;
+                }
+                this.activeFlowRecordId = row.Id;
+                this.activeFlowLabel = action.label;
+                this.activeFlowApiName = action.flowApiName;
+                break;
+            default:
+                break;
+        }
+    }
+
+    // Replace {FieldApiName} merge fields with the row's values - {recordId} and {parentId} are also available
+    buildRowActionUrl(urlPattern, row) {
+        if (!urlPattern) {
+            return null;
+        }
+
+        const url = urlPattern.replace(/\{([A-Za-z0-9_.]+)\}/g, (match, fieldApiName) => {
+            let value;
+            if (fieldApiName === 'recordId') {
+                value = row.Id;
+            } else if (fieldApiName === 'parentId') {
+                value = this.currentRecordId;
+            } else {
+                value = this.getRowFieldValue(row, fieldApiName);
+            }
+            return value == null ? '' : encodeURIComponent(value);
+        });
+
+        if (/^https?:\/\//i.test(url)) {
+            return url;
+        }
+        return this.getSiteBaseUrl() + (url.startsWith('/') ? url : '/' + url);
+    }
+
+    navigateToUrl(url) {
+        if (!url) {
+            return;
+        }
+
+        this[NavigationMixin.Navigate]({
+            type: 'standard__webPage',
+            attributes: {
+                url: url
+            }
+        });
+    }
+
+    async handleCloneRecord(recordId) {
+        try {
+            const records = await getRelatedRecordsById({
+                objectApiName: this.newRecordInfo.objectApiName,
+                enabledFields: this.newRecordInfo.fields.join(','),
+                recordIds: [recordId]
+            });
+            if (records.length === 0) {
+                this.showToast('Error', 'The record to clone is no longer available', 'error');
+                return;
+            }
+
+            // The form's Id and lookup to the parent are never copied
+            const { Id, ...values } = records[0];
+            delete values[this.newRecordInfo.relationshipField];
+            this.debugLog('Cloning record:', Id, values);
+
+            this.newRecordDefaults = values;
+            this.openNewRecordModal();
+
+        } catch (error) {
+            this.logError('Error loading record to clone:', error);
+            const errorMessage = error.body?.message || error.message || 'Unknown error occurred';
+            this.showToast('Error', 'Failed to clone record: ' + errorMessage, 'error');
+        }
+    }
+
+    handleCloseEditRecord() {
+        this.editRecordId = null;
+    }
+
+    async handleEditRecordSuccess() {
+        const recordId = this.editRecordId;
+        this.handleCloseEditRecord();
+        this._recordAccessCache.delete(recordId);
+        this.showToast('Success', 'Record saved successfully', 'success');
+
+        try {
+            const records = await getRelatedRecordsById({
+                objectApiName: this.relatedObjectType,
+                enabledFields: this.enabledFields || '',
+                recordIds: [recordId]
+            });
+            this.mergeSavedRecords(records);
+        } catch (error) {
+            this.logError('Error loading saved record:', error);
+            this.handleRefresh();
+        }
+    }
+
+    // ===== NEW RECORD =====
+
+    get enableNewButton() {
+        return this.configObj.enableNewButton || false;
+    }
+
+    get showNewButton() {
+        return this.enableNewButton && this.isStandardType && this.newRecordInfo?.createable === true;
+    }
+
+    get newRecordModalTitle() {
+        return `${this.newRecordDefaults ? 'Clone' : 'New'} ${this.newRecordInfo?.objectLabel || 'Record'}`;
+    }
+
+    get recordTypeOptions() {
+        return (this.newRecordInfo?.recordTypes || []).map(recordType => ({ label: recordType.name, value: recordType.id }));
+    }
+
+    // The lookup to the parent is shown for context but always saved as the current record
+    get newRecordFields() {
+        const relationshipField = this.newRecordInfo?.relationshipField;
+        return (this.newRecordInfo?.fields || []).map(fieldName => ({
+            fieldName: fieldName,
+            value: fieldName === relationshipField ? this.currentRecordId : this.newRecordDefaults?.[fieldName],
+            disabled: fieldName === relationshipField
+        }));
+    }
+
+    async loadNewRecordInfo() {
+        try {
+            // Clone row actions use the same form as the New button
+            const hasCloneAction = this.rowActions.some(action => action.type === 'clone');
+            if (!this.detectedObjectType || (!this.enableNewButton && !hasCloneAction)) {
+                this.newRecordInfo = null;
+                return;
+            }
+
+            this.newRecordInfo = await getNewRecordInfo({
+                objectApiName: this.detectedObjectType,
+                relatedListName: this.relatedListName,
+                relationshipField: this.relationshipField || '',
+                enabledFields: this.enabledFields || '',
+                newRecordFields: this.configObj.newRecordFields || ''
+            });
+
+            this.debugLog('New record info:', this.newRecordInfo);
+
+        } catch (error) {
+            this.logError('Error loading new record info:', error);
+            this.newRecordInfo = null;
+        }
+    }
+
+    handleNewRecord() {
+        this.newRecordDefaults = null;
+        this.openNewRecordModal();
+    }
+
+    openNewRecordModal() {
+        const recordTypes = this.newRecordInfo?.recordTypes || [];
+        const defaultRecordType = recordTypes.find(recordType => recordType.isDefault) || recordTypes[0];
+
+        this.newRecordTypeId = defaultRecordType ? defaultRecordType.id : null;
+        // Only ask when the user has a real choice to make
+        this.isChoosingRecordType = recordTypes.length > 1;
+        this.showNewRecordModal = true;
+    }
+
+    handleRecordTypeChange(event) {
+        this.newRecordTypeId = event.detail.value;
+    }
+
+    handleRecordTypeNext() {
+        this.isChoosingRecordType = false;
+    }
+
+    handleCloseNewRecord() {
+        this.showNewRecordModal = false;
+        this.isChoosingRecordType = false;
+        this.isSavingNewRecord = false;
+        this.newRecordDefaults = null;
+    }
+
+    handleNewRecordSubmit(event) {
+        event.preventDefault();
+        const fields = { ...event.detail.fields };
+        fields[this.newRecordInfo.relationshipField] = this.currentRecordId;
+
+        this.isSavingNewRecord = true;
+        this.template.querySelector('lightning-record-edit-form').submit(fields);
+    }
+
+    handleNewRecordError(event) {
+        // lightning-messages inside the form shows the details
+        this.logError('Error creating record:', event.detail);
+        this.isSavingNewRecord = false;
+    }
+
+    async handleNewRecordSuccess(event) {
+        const recordId = event.detail.id;
+        this.debugLog('Record created:', recordId);
+        const verb = this.newRecordDefaults ? 'cloned' : 'created';
+        this.handleCloseNewRecord();
+        this.showToast('Success', `${this.newRecordInfo.objectLabel} ${verb} successfully`, 'success');
+
+        try {
+            // The server leaves the record out when the list's filter or search wouldn't show it
+            const records = await getListRecordsById({
+                objectApiName: this.detectedObjectType,
+                relatedListName: this.relatedListName,
+                recordId: this.currentRecordId,
+                relationshipField: this.relationshipField || '',
+                enabledFields: this.enabledFields || '',
+                searchTerm: this.searchTerm || '',
+                filterCriteria: this.filterCriteria,
+                recordIds: [recordId]
+            });
+
+            if (records.length > 0) {
+                this.insertNewRecord(this.processARLRecords(records)[0]);
+            } else {
+                this.showToast('Info', `The ${verb} record doesn't match this list's filters or search, so it isn't shown here`, 'info');
+            }
+        } catch (error) {
+            this.logError('Error loading new record:', error);
+            this.handleRefresh();
+        }
+    }
+
+    // Insert where the current sort would put the row, or at the top to match the server's newest-first order
+    insertNewRecord(record) {
+        this.invalidateListCache();
+        this.loadAggregates();
+
+        let index = 0;
+        if (this.sortCriteria.length > 0) {
+            const values = this.getSortValues(record);
+            index = this.allRecords.findIndex(existing => this.compareSortValueLists(values, this.getSortValues(existing)) < 0);
+            if (index === -1) {
+                index = this.allRecords.length;
+            }
+        }
+
+        if (this.totalRecordCount != null) {
+            this.totalRecordCount++;
+        }
+
+        // A row that sorts after everything loaded belongs to a server page that hasn't been fetched yet
+        if (this.serverHasMoreRecords && index === this.allRecords.length) {
+            this.updateDisplayedRecords();
+            return;
+        }
+
+        // Keep every row that was visible on screen
+        if (index < this.displayedRecords.length) {
+            this.currentOffset++;
+        }
+
+        this.allRecords = [...this.allRecords.slice(0, index), record, ...this.allRecords.slice(index)];
+        this.hasData = true;
+        this.updateDisplayedRecords();
+    }
+
+    // ===== REAL-TIME UPDATES =====
+
+    get enableRealTimeUpdates() {
+        return this.configObj.enableRealTimeUpdates || false;
+    }
+
+    // The related object's Change Data Capture channel unless a Platform Event or custom channel is configured
+    get realTimeChannel() {
+        const configuredChannel = (this.configObj.realTimeChannel || '').trim();
+        if (configuredChannel) {
+            return configuredChannel;
+        }
+        if (!this.relatedObjectType) {
+            return null;
+        }
+        // Custom objects drop the c of __c: Invoice__c -> Invoice__ChangeEvent
+        const objectName = this.relatedObjectType.endsWith('__c') ? this.relatedObjectType.slice(0, -1) : this.relatedObjectType;
+        return `/data/${objectName}ChangeEvent`;
+    }
+
+    get showNewRecordsBanner() {
+        return this.realTimeNeedsRefresh || this.pendingRealTimeIds.length > 0;
+    }
+
+    get newRecordsBannerLabel() {
+        return this.realTimeNeedsRefresh || this.pendingRealTimeIds.length === 1
+            ? 'New records available'
+            : `${this.pendingRealTimeIds.length} new records available`;
+    }
+
+    // empApi keeps every handler it's given, so this instance registers one for as long as it lives
+    registerRealTimeErrorHandler() {
+        if (this._hasRealTimeErrorHandler) {
+            return;
+        }
+        this._hasRealTimeErrorHandler = true;
+        try {
+            onError(error => this.logError('Real-time updates error:', error));
+        } catch (error) {
+            this.logError('Error registering the real-time error handler:', error);
+        }
+    }
+
+    async subscribeToChanges() {
+        const channel = this.enableRealTimeUpdates && this.isStandardType ? this.realTimeChannel : null;
+        if (channel === this._realTimeChannel) {
+            return;
+        }
+
+        await this.unsubscribeFromChanges();
+        if (!channel) {
+            return;
+        }
+
+        this._realTimeChannel = channel;
+        try {
+            // -1 replays nothing - the list was just loaded
+            const subscription = await subscribe(channel, -1, message => this.handleChangeEvent(message));
+
+            // Disconnected or switched to another channel while subscribing
+            if (this._realTimeChannel !== channel) {
+                unsubscribe(subscription);
+                return;
+            }
+            this._realTimeSubscription = subscription;
+            this.debugLog('Subscribed to real-time updates:', channel);
+        } catch (error) {
+            this._realTimeChannel = null;
+            this.logError('Error subscribing to real-time updates:', error);
+        }
+    }
+
+    async unsubscribeFromChanges() {
+        const subscription = this._realTimeSubscription;
+        this._realTimeSubscription = null;
+        this._realTimeChannel = null;
+        if (!subscription) {
+            return;
+        }
+
+        try {
+            await unsubscribe(subscription);
+        } catch (error) {
+            this.logError('Error unsubscribing from real-time updates:', error);
+        }
+    }
+
+    // Change Data Capture events carry a ChangeEventHeader. Platform Events name the record in RecordId__c
+    // and can add ChangeType__c (CREATE, UPDATE, DELETE or UNDELETE, default UPDATE) and ParentId__c.
+    parseChangeEvent(payload) {
+        if (!payload) {
+            return null;
+        }
+
+        const header = payload.ChangeEventHeader;
+        if (header) {
+            const lookupField = this.relationshipFieldApiName;
+            // Update events only carry the fields that changed, so a missing parent means "unchanged"
+            const parentId = lookupField ? payload[lookupField] || null : null;
+            const parentCleared = !!lookupField && (header.nulledFields || []).includes(lookupField);
+            return {
+                changeType: header.changeType || '',
+                recordIds: header.recordIds || [],
+                belongsToParent: !!parentId && this.isCurrentParentId(parentId),
+                leftParent: parentCleared || (!!parentId && !this.isCurrentParentId(parentId))
+            };
+        }
+
+        if (!payload.RecordId__c) {
+            return null;
+        }
+        const parentId = payload.ParentId__c || null;
+        return {
+            changeType: (payload.ChangeType__c || 'UPDATE').toUpperCase(),
+            recordIds: [payload.RecordId__c],
+            belongsToParent: !!parentId && this.isCurrentParentId(parentId),
+            leftParent: !!parentId && !this.isCurrentParentId(parentId)
+        };
+    }
+
+    // Events use 18-character Ids, the page can have either form
+    isCurrentParentId(recordId) {
+        return !!this.currentRecordId && String(recordId).substring(0, 15) === this.currentRecordId.substring(0, 15);
+    }
+
+    // Changed and deleted rows are updated in place. New rows wait behind the banner
+    // so the list doesn't move under the user's cursor.
+    handleChangeEvent(message) {
+        const change = this.parseChangeEvent(message?.data?.payload);
+        if (!change) {
+            return;
+        }
+        this.debugLog('Real-time change:', change);
+
+        // Gap and overflow events don't say which records changed
+        if (change.changeType.startsWith('GAP_')) {
+            this.realTimeNeedsRefresh = true;
+            return;
+        }
+
+        const loadedIds = new Set(this.allRecords.map(record => record.Id));
+        const loadedChanges = change.recordIds.filter(recordId => loadedIds.has(recordId));
+        const newIds = change.recordIds.filter(recordId =>
+            !loadedIds.has(recordId) && !this.pendingRealTimeIds.includes(recordId)
+        );
+
+        switch (change.changeType) {
+            case 'DELETE':
+                this.removeRealTimeRecords(change.recordIds);
+                break;
+            case 'CREATE':
+            case 'UNDELETE':
+                if (change.belongsToParent) {
+                    this.pendingRealTimeIds = [...this.pendingRealTimeIds, ...newIds];
+                }
+                break;
+            case 'UPDATE':
+                if (change.leftParent) {
+                    this.removeRealTimeRecords(loadedChanges);
+                    break;
+                }
+                if (loadedChanges.length > 0) {
+                    this.refreshRealTimeRecords(loadedChanges);
+                }
+                // Moved to this parent from another one
+                if (change.belongsToParent && newIds.length > 0) {
+                    this.pendingRealTimeIds = [...this.pendingRealTimeIds, ...newIds];
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    async refreshRealTimeRecords(recordIds) {
+        try {
+            const records = await getRelatedRecordsById({
+                objectApiName: this.relatedObjectType,
+                enabledFields: this.enabledFields || '',
+                recordIds: recordIds
+            });
+
+            // Rows that didn't come back were shared away from this user
+            const returnedIds = new Set(records.map(record => record.Id));
+            this.removeRealTimeRecords(recordIds.filter(recordId => !returnedIds.has(recordId)));
+            this.mergeSavedRecords(records);
+        } catch (error) {
+            this.logError('Error loading changed records:', error);
+        }
+    }
+
+    removeRealTimeRecords(recordIds) {
+        const removedIds = new Set(recordIds.filter(recordId => this.allRecords.some(record => record.Id === recordId)));
+        this.pendingRealTimeIds = this.pendingRealTimeIds.filter(recordId => !recordIds.includes(recordId));
+        if (removedIds.size === 0) {
+            return;
+        }
+
+        this.invalidateListCache();
+        this.allRecords = this.allRecords.filter(record => !removedIds.has(record.Id));
+        this.selectedRowIds = this.selectedRowIds.filter(selectedId => !removedIds.has(selectedId));
+        this.draftValues = this.draftValues.filter(draft => !removedIds.has(draft.Id));
+        if (this.totalRecordCount != null) {
+            this.totalRecordCount = Math.max(0, this.totalRecordCount - removedIds.size);
+        }
+        this.hasData = this.allRecords.length > 0;
+        this.updateDisplayedRecords();
+        this.loadAggregates();
+    }
+
+    async handleShowNewRecords() {
+        if (this.realTimeNeedsRefresh) {
+            this.handleRefresh();
+            return;
+        }
+
+        const loadedIds = new Set(this.allRecords.map(record => record.Id));
+        const recordIds = this.pendingRealTimeIds.filter(recordId => !loadedIds.has(recordId));
+        this.pendingRealTimeIds = [];
+        if (recordIds.length === 0) {
+            return;
+        }
+
+        try {
+            const records = await getRelatedRecordsById({
+                objectApiName: this.relatedObjectType,
+                enabledFields: this.enabledFields || '',
+                recordIds: recordIds
+            });
+            this.processARLRecords(records).forEach(record => this.insertNewRecord(record));
+        } catch (error) {
+            this.logError('Error loading new records:', error);
+            this.handleRefresh();
+        }
+    }
+
+    // ===== PUBLIC API =====
+
+    // Reloads the list from the server - resolves once the rows are back
+    @api
+    refresh() {
+        return this.handleRefresh();
+    }
+
+    // Copies of the selected loaded rows, with the field values the list shows
+    @api
+    getSelectedRows() {
+        const selectedIds = new Set(this.selectedRowIds);
+        return this.allRecords
+            .filter(record => selectedIds.has(record.Id))
+            .map(record => ({ ...record }));
+    }
+
+    // Takes the filterCriteria shape of configJSONString ({ logic, groups: [{ logic, conditions }] }) or its JSON.
+    // Replaces the configured filter until it's called again - null goes back to the configured one.
+    @api
+    setFilter(filterCriteria) {
+        let criteria = filterCriteria;
+        if (typeof filterCriteria === 'string' && filterCriteria.trim()) {
+            try {
+                criteria = JSON.parse(filterCriteria);
+            } catch (error) {
+                // Reported like the other failures, so callers awaiting the refresh can catch it
+                this.logError('Invalid filter JSON:', error);
+                this.dispatchErrorEvent('filter', 'Invalid filter JSON: ' + error.message);
+                return Promise.reject(error);
+            }
+        }
+        this._filterOverride = criteria && typeof criteria === 'object' ? criteria : null;
+        this.debugLog('Filter set through the API:', this._filterOverride);
+        return this.handleRefresh();
+    }
+
+    handleRecordCardClick(event) {
+        this.dispatchRowClick(event.currentTarget.dataset.id);
+    }
+
+    // lightning-datatable has no row click event, so the row is found in the click's composed path
+    handleTableClick(event) {
+        const path = event.composedPath();
+        const rowIndex = path.findIndex(node => node.dataset?.rowKeyValue);
+        if (rowIndex === -1 || path.slice(0, rowIndex).some(node => ROW_CLICK_CONTROL_TAGS.includes(node.tagName))) {
+            return;
+        }
+        this.dispatchRowClick(path[rowIndex].dataset.rowKeyValue);
+    }
+
+    dispatchRowClick(recordId) {
+        const record = this.allRecords.find(item => item.Id === recordId);
+        this.dispatchListEvent('rowclick', { recordId: recordId, row: record ? { ...record } : null });
+    }
+
+    // Bubbles and crosses shadow boundaries like massaction, so a containing component can listen on the element
+    dispatchListEvent(name, detail = {}) {
+        this.dispatchEvent(new CustomEvent(name, {
+            detail: {
+                parentRecordId: this.currentRecordId,
+                objectApiName: this.relatedObjectType,
+                relatedListName: this.relatedListName,
+                ...detail
+            },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    // operation is what failed - load, save, move (a kanban card), complete (a task), delete, export or filter
+    dispatchErrorEvent(operation, message) {
+        this.dispatchListEvent('error', { operation: operation, message: message });
+    }
+
+    // ===== MESSAGE SERVICE =====
+
+    // Application scope so lists in inactive tabs also refresh and report back
+    subscribeToMessageChannel() {
+        if (this._messageSubscription) {
+            return;
+        }
+        try {
+            this._messageSubscription = subscribeToMessages(
+                this.messageContext,
+                RELATED_LIST_CHANNEL,
+                message => this.handleListMessage(message),
+                { scope: APPLICATION_SCOPE }
+            );
+        } catch (error) {
+            this.logError('Error subscribing to the related list channel:', error);
+        }
+    }
+
+    unsubscribeFromMessageChannel() {
+        if (this._messageSubscription) {
+            unsubscribeFromMessages(this._messageSubscription);
+            this._messageSubscription = null;
+        }
+    }
+
+    // Only refresh requests are acted on - the other actions are what the lists themselves publish
+    handleListMessage(message) {
+        if (message?.action !== 'refresh' || !this.isListMessageForThisList(message)) {
+            return;
+        }
+        this.debugLog('Refresh requested through the message channel:', message);
+        this.handleRefresh();
+    }
+
+    // A blank parent or object matches every list, so "refresh everything on the page" is a message with only an action
+    isListMessageForThisList(message) {
+        const parentMatches = !message.parentRecordId || this.isCurrentParentId(message.parentRecordId);
+        const objectMatches = !message.objectApiName ||
+            message.objectApiName.toLowerCase() === (this.relatedObjectType || '').toLowerCase();
+        return parentMatches && objectMatches;
+    }
+
+    publishListMessage(action, details = {}) {
+        if (!this.messageContext) {
+            return;
+        }
+        try {
+            publish(this.messageContext, RELATED_LIST_CHANNEL, {
+                action: action,
+                parentRecordId: this.currentRecordId,
+                objectApiName: this.relatedObjectType,
+                relatedListName: this.relatedListName,
+                ...details
+            });
+        } catch (error) {
+            this.logError('Error publishing to the related list channel:', error);
+        }
+    }
+
+    publishSelectionChanged() {
+        this.publishListMessage('selectionChanged', { recordIds: [...this.selectedRowIds] });
+    }
+
+    // ===== EXPORT =====
+
+    get enableExport() {
+        return this.configObj.enableExport || false;
+    }
+
+    get showExportMenu() {
+        return this.enableExport && !this.isFilesType && this.hasData;
+    }
+
+    get exportColumns() {
+        return this.columns
+            .filter(col => col.type !== 'action' && col.type !== 'button')
+            .map(col => {
+                const fieldName = col.fieldName === 'recordUrl' ? col.typeAttributes?.label?.fieldName : col.fieldName;
+                let type = EXPORT_VALUE_TYPES[col.fieldType] || 'string';
+                if (!col.fieldType) {
+                    if (col.isDate) {
+                        type = 'date';
+                    } else if (col.isDateTime) {
+                        type = 'datetime';
+                    } else if (col.type === 'number') {
+                        type = 'number';
+                    }
+                }
+                return { label: col.baseLabel || col.label, fieldName: fieldName, type: type };
+            });
+    }
+
+    get exportFileName() {
+        const baseName = (this.configObj.relatedListLabel || this.relatedListName || 'Related List')
+            .replace(/[^\w\- ]+/g, '')
+            .trim();
+        return baseName || 'Related List';
+    }
+
+    handleExportSelect(event) {
+        this.exportData(event.detail.value);
+    }
+
+    @api
+    async exportData(format = 'csv') {
+        this.debugLog('Exporting list as', format);
+        this.isLoadingMore = true;
+
+        try {
+            const columns = this.exportColumns;
+            const records = await this.getRecordsForExport();
+            const rows = records.map(record => columns.map(col => this.getRawValue(record, col.fieldName)));
+
+            if (format === 'xlsx') {
+                downloadXlsx(this.exportFileName, columns, rows);
+            } else {
+                downloadCsv(this.exportFileName, columns, rows);
+            }
+
+            this.debugLog(`Exported ${rows.length} records`);
+        } catch (error) {
+            this.logError('Error exporting records:', error);
+            const errorMessage = error.body?.message || error.message || 'Unknown error occurred';
+            this.dispatchErrorEvent('export', errorMessage);
+            this.showToast('Error', 'Failed to export records: ' + errorMessage, 'error');
+        } finally {
+            this.isLoadingMore = false;
+        }
+    }
+
+    // Everything matching the current filter, search and sort - not just the loaded pages
+    async getRecordsForExport() {
+        if (!this.isStandardType || !this.serverHasMoreRecords) {
+            return this.getSearchFilteredRecords();
+        }
+
+        const records = await this.fetchExportPages([]);
+        if (this.totalRecordCount != null && records.length < this.totalRecordCount) {
+            this.showToast('Warning', `Only the first ${records.length} of ${this.totalRecordCount} records could be exported.`, 'warning');
+        }
+        // The server pages don't know about a search term that's only applied in the browser
+        return this.filterRecordsBySearch(records);
+    }
+
+    // Pages are fetched one after another, each starting where the records so far end
+    async fetchExportPages(records) {
+        const response = await getRelatedListInfo(this.buildARLRequest(records.length, EXPORT_PAGE_SIZE));
+        const page = response?.records || [];
+        const allRecords = records.concat(this.processARLRecords(page));
+        return response?.hasMoreRecords === true && page.length > 0 ? this.fetchExportPages(allRecords) : allRecords;
+    }
+
+    // Value before date formatting, as stored in rawValues by processARLRecords/flattenRecords
+    getRawValue(record, fieldName) {
+        if (!fieldName) {
+            return null;
+        }
+        if (record.rawValues && Object.prototype.hasOwnProperty.call(record.rawValues, fieldName)) {
+            return record.rawValues[fieldName];
+        }
+        return record[fieldName];
+    }
+
+    // ===== ROW SELECTION AND MASS ACTIONS =====
+
+    get hasSelectedRows() {
+        return this.selectedRowIds.length > 0;
+    }
+
+    get showMassActionBar() {
+        return this.hasSelectedRows && this.isStandardType && this.displayMode === 'table';
+    }
+
+    get selectedRowCountLabel() {
+        return `${this.selectedRowIds.length} selected`;
+    }
+
+    get showMassDelete() {
+        return this.enableRecordDeletion && this.canDeleteRecords;
+    }
+
+    get enableMassUpdate() {
+        return this.configObj.enableMassUpdate || false;
+    }
+
+    get massUpdateFieldOptions() {
+        return this.columns
+            .filter(col => col.massUpdatable)
+            .map(col => ({ label: col.baseLabel || col.label, value: col.fieldApiName }));
+    }
+
+    get showMassUpdate() {
+        return this.enableMassUpdate && this.massUpdateFieldOptions.length > 0;
+    }
+
+    get customMassActions() {
+        const actions = Array.isArray(this.configObj.massActions) ? this.configObj.massActions : [];
+        return actions
+            .filter(action => action?.label && action?.name)
+            .map(action => ({ ...action, key: `mass-action-${action.name}` }));
+    }
+
+    get massUpdateColumn() {
+        return this.columns.find(col => col.fieldApiName === this.massUpdateField);
+    }
+
+    get massUpdateInputType() {
+        return MASS_UPDATE_INPUT_TYPES[this.massUpdateColumn?.fieldType] || 'text';
+    }
+
+    get isMassUpdateCheckbox() {
+        return this.massUpdateInputType === 'checkbox';
+    }
+
+    get isMassUpdateSaveDisabled() {
+        return !this.massUpdateField || this.isMassActionRunning;
+    }
+
+    get massDeleteConfirmMessage() {
+        return `Delete ${this.selectedRowIds.length} record(s)? This can't be undone.`;
+    }
+
+    get showFlowModal() {
+        return !!this.activeFlowApiName;
+    }
+
+    get flowInputVariables() {
+        if (this.activeFlowRecordId) {
+            return [{ name: 'recordId', type: 'String', value: this.activeFlowRecordId }];
+        }
+        return [{ name: 'recordIds', type: 'String', value: this.selectedRowIds }];
+    }
+
+    handleRowSelection(event) {
+        this.selectedRowIds = (event.detail.selectedRows || []).map(row => row.Id);
+        this.debugLog('Selected rows:', this.selectedRowIds);
+        this.publishSelectionChanged();
+    }
+
+    handleClearSelection() {
+        this.selectedRowIds = [];
+        this.publishSelectionChanged();
+    }
+
+    handleMassDelete() {
+        this.showMassDeleteConfirm = true;
+    }
+
+    handleCancelMassDelete() {
+        this.showMassDeleteConfirm = false;
+    }
+
+    async handleConfirmMassDelete() {
+        this.showMassDeleteConfirm = false;
+        const recordIds = [...this.selectedRowIds];
+        this.debugLog('Deleting records:', recordIds);
+        this.isMassActionRunning = true;
+
+        try {
+            const result = await deleteRecords({ recordIds: recordIds });
+            const deletedIds = result.deletedIds || [];
+            const errors = result.errors || {};
+            if (deletedIds.length > 0) {
+                this.invalidateListCache();
+                this.publishListMessage('recordDeleted', { recordIds: deletedIds });
+                this.dispatchListEvent('recorddeleted', { recordIds: deletedIds });
+            }
+
+            this.allRecords = this.allRecords.filter(record => !deletedIds.includes(record.Id));
+            if (this.totalRecordCount != null) {
+                this.totalRecordCount = Math.max(0, this.totalRecordCount - deletedIds.length);
+            }
+            this.hasData = this.allRecords.length > 0;
+            this.updateDisplayedRecords();
+
+            // Leave the rows that failed selected so the user can see which ones remain
+            this.selectedRowIds = recordIds.filter(recordId => errors[recordId]);
+            this.publishSelectionChanged();
+            this.showBulkResultToast(deletedIds.length, this.selectedRowIds.length, 'deleted', Object.values(errors)[0]);
+            if (deletedIds.length > 0) {
+                this.loadAggregates();
+            }
+
+        } catch (error) {
+            this.logError('Error deleting records:', error);
+            const errorMessage = error.body?.message || error.message || 'Unknown error occurred';
+            this.dispatchErrorEvent('delete', errorMessage);
+            this.showToast('Error', 'Failed to delete records: ' + errorMessage, 'error');
+        } finally {
+            this.isMassActionRunning = false;
+        }
+    }
+
+    handleOpenMassUpdate() {
+        this.massUpdateField = this.massUpdateFieldOptions[0]?.value || '';
+        this.massUpdateValue = null;
+        this.showMassUpdateModal = true;
+    }
+
+    handleCloseMassUpdate() {
+        this.showMassUpdateModal = false;
+    }
+
+    handleMassUpdateFieldChange(event) {
+        this.massUpdateField = event.detail.value;
+        this.massUpdateValue = null;
+    }
+
+    handleMassUpdateValueChange(event) {
+        this.massUpdateValue = this.isMassUpdateCheckbox ? event.detail.checked : event.detail.value;
+    }
+
+    async handleMassUpdateSave() {
+        const recordIds = [...this.selectedRowIds];
+        const value = this.isMassUpdateCheckbox ? !!this.massUpdateValue : this.massUpdateValue;
+        this.debugLog('Mass updating', this.massUpdateField, 'on', recordIds.length, 'records');
+        this.isMassActionRunning = true;
+
+        try {
+            const result = await updateRelatedRecords({
+                objectApiName: this.relatedObjectType,
+                enabledFields: this.enabledFields || '',
+                draftValuesJSON: JSON.stringify(recordIds.map(recordId => ({ Id: recordId, [this.massUpdateField]: value })))
+            });
+
+            this.mergeSavedRecords(result.records || []);
+
+            const rowErrors = result.rowErrors || {};
+            const failedIds = Object.keys(rowErrors);
+            this.tableErrors = this.buildTableErrors(rowErrors);
+            this.selectedRowIds = recordIds.filter(recordId => failedIds.includes(recordId));
+            this.showMassUpdateModal = false;
+            if (failedIds.length > 0) {
+                this.dispatchErrorEvent('save', `${failedIds.length} record(s) could not be updated.`);
+            }
+            this.showBulkResultToast(recordIds.length - failedIds.length, failedIds.length, 'updated');
+
+        } catch (error) {
+            this.logError('Error mass updating records:', error);
+            const errorMessage = error.body?.message || error.message || 'Unknown error occurred';
+            this.dispatchErrorEvent('save', errorMessage);
+            this.showToast('Error', 'Failed to update records: ' + errorMessage, 'error');
+        } finally {
+            this.isMassActionRunning = false;
+        }
+    }
+
+    handleCustomMassAction(event) {
+        const action = this.customMassActions.find(item => item.name === event.target.dataset.name);
+        if (!action) {
+            return;
+        }
+
+        this.debugLog('Custom mass action:', action.name, this.selectedRowIds);
+
+        if (action.type === 'flow') {
+            if (!action.flowApiName) {
+                this.showToast('Error', `No flow is configured for ${action.label}`, 'error');
+                return;
+            }
+            this.activeFlowLabel = action.label;
+            this.activeFlowApiName = action.flowApiName;
+            return;
+        }
+
+        // Event actions are handled by whatever contains this component
+        this.dispatchEvent(new CustomEvent('massaction', {
+            detail: {
+                action: action.name,
+                recordIds: [...this.selectedRowIds]
+            },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    handleFlowStatusChange(event) {
+        const status = event.detail.status;
+        this.debugLog('Action flow status:', status);
+
+        if (status === 'FINISHED' || status === 'FINISHED_SCREEN') {
+            // A row action flow leaves the selection alone
+            if (!this.activeFlowRecordId) {
+                this.selectedRowIds = [];
+            }
+            this.handleCloseFlowModal();
+            this.showToast('Success', `${this.activeFlowLabel || 'Action'} completed`, 'success');
+            // The flow may have changed any of the selected records
+            this.handleRefresh();
+        } else if (status === 'ERROR') {
+            this.handleCloseFlowModal();
+            this.showToast('Error', `${this.activeFlowLabel || 'Action'} failed`, 'error');
+        }
+    }
+
+    handleCloseFlowModal() {
+        this.activeFlowApiName = null;
+        this.activeFlowRecordId = null;
+    }
+
+    showBulkResultToast(successCount, failedCount, verb, firstError) {
+        const detail = firstError ? ` ${firstError}` : '';
+        if (failedCount === 0) {
+            this.showToast('Success', `${successCount} record(s) ${verb}`, 'success');
+        } else if (successCount > 0) {
+            this.showToast('Warning', `${successCount} record(s) ${verb}, ${failedCount} failed.${detail}`, 'warning');
+        } else {
+            this.showToast('Error', `${failedCount} record(s) could not be ${verb}.${detail}`, 'error');
+        }
+    }
+
+    // ===== DELETE FUNCTIONALITY =====
+
+    async checkDeletePermission() {
+        try {
+            if (!this.detectedObjectType || !this.enableRecordDeletion) {
+                this.canDeleteRecords = false;
+                return;
+            }
+
+            this.canDeleteRecords = await canDeleteObject({
+                objectApiName: this.detectedObjectType
+            });
+
+            this.debugLog('Delete permission check:', {
+                objectType: this.detectedObjectType,
+                canDelete: this.canDeleteRecords
+            });
+
+        } catch (error) {
+            this.logError('Error checking delete permission:', error);
+            this.canDeleteRecords = false;
+        }
+    }
+
+    async handleDeleteRecord(recordId) {
+        if (!recordId) {
+            this.showToast('Error', 'No record ID provided', 'error');
+            return;
+        }
+
+        this.debugLog('Deleting record:', recordId);
+
+        try {
+            await deleteRecord({ recordId: recordId });
+            this.invalidateListCache();
+            this.publishListMessage('recordDeleted', { recordIds: [recordId] });
+            this.dispatchListEvent('recorddeleted', { recordIds: [recordId] });
+
+            // Remove from allRecords array
+            this.allRecords = this.allRecords.filter(record => record.Id !== recordId);
+            this.selectedRowIds = this.selectedRowIds.filter(selectedId => selectedId !== recordId);
+            if (this.totalRecordCount != null) {
+                this.totalRecordCount = Math.max(0, this.totalRecordCount - 1);
+            }
 
             // Update displayed records
             this.updateDisplayedRecords();
+            this.loadAggregates();
 
             this.showToast('Success', 'Record deleted successfully', 'success');
 
@@ -2109,6 +5551,7 @@ export default class SlotTest extends NavigationMixin(LightningElement) {
         } catch (error) {
             this.logError('Error deleting record:', error);
             const errorMessage = error.body?.message || error.message || 'Unknown error occurred';
+            this.dispatchErrorEvent('delete', errorMessage);
             this.showToast('Error', 'Failed to delete record: ' + errorMessage, 'error');
         }
     }
@@ -2,8 +2,138 @@ import { LightningElement, track, api } from 'lwc';
 
 const defaultCSSClasses = 'slds-m-bottom_medium';
 
+// Operators understood by RelatedListLWRController's filter builder
+const FILTER_OPERATOR_OPTIONS = [
+    { label: 'Equals', value: 'equals' },
+    { label: 'Not Equal To', value: 'notEquals' },
+    { label: 'Less Than', value: 'lessThan' },
+    { label: 'Greater Than', value: 'greaterThan' },
+    { label: 'Less or Equal', value: 'lessOrEqual' },
+    { label: 'Greater or Equal', value: 'greaterOrEqual' },
+    { label: 'Contains', value: 'contains' },
+    { label: 'Does Not Contain', value: 'notContains' },
+    { label: 'Starts With', value: 'startsWith' },
+    { label: 'In (comma-separated)', value: 'in' },
+    { label: 'Not In (comma-separated)', value: 'notIn' },
+    { label: 'Is Blank', value: 'isNull' },
+    { label: 'Is Not Blank', value: 'isNotNull' }
+];
+
+const VALUELESS_FILTER_OPERATORS = ['isNull', 'isNotNull'];
+
+const MASS_ACTION_TYPE_OPTIONS = [
+    { label: 'Launch Flow', value: 'flow' },
+    { label: 'Fire Event', value: 'event' }
+];
+
+const ROW_ACTION_TYPE_OPTIONS = [
+    { label: 'Edit', value: 'edit' },
+    { label: 'View', value: 'view' },
+    { label: 'Clone', value: 'clone' },
+    { label: 'Navigate to URL', value: 'url' },
+    { label: 'Launch Flow', value: 'flow' }
+];
+
+// Aggregate functions understood by RelatedListLWRController.getRelatedListAggregates
+const AGGREGATE_FUNCTION_OPTIONS = [
+    { label: 'Sum', value: 'sum' },
+    { label: 'Average', value: 'avg' },
+    { label: 'Minimum', value: 'min' },
+    { label: 'Maximum', value: 'max' },
+    { label: 'Count', value: 'count' }
+];
+
+// Operators relatedListLWR evaluates for formatting rules
+const FORMATTING_OPERATOR_OPTIONS = [
+    { label: 'Equals', value: 'equals' },
+    { label: 'Not Equal To', value: 'notEquals' },
+    { label: 'Less Than', value: 'lessThan' },
+    { label: 'Greater Than', value: 'greaterThan' },
+    { label: 'Less or Equal', value: 'lessOrEqual' },
+    { label: 'Greater or Equal', value: 'greaterOrEqual' },
+    { label: 'Contains', value: 'contains' },
+    { label: 'Is Blank', value: 'isNull' },
+    { label: 'Is Not Blank', value: 'isNotNull' }
+];
+
+const FORMATTING_TARGET_OPTIONS = [
+    { label: 'This Field', value: 'cell' },
+    { label: 'Whole Row', value: 'row' }
+];
+
+// Types a column can be shown as instead of its field's own type - see COLUMN_TYPE_OVERRIDES in relatedListLWR
+const COLUMN_TYPE_OPTIONS = [
+    { label: 'Field Default', value: '' },
+    { label: 'Text', value: 'text' },
+    { label: 'URL', value: 'url' },
+    { label: 'Email', value: 'email' },
+    { label: 'Phone', value: 'phone' },
+    { label: 'Number', value: 'number' },
+    { label: 'Currency', value: 'currency' },
+    { label: 'Percent', value: 'percent' },
+    { label: 'Date', value: 'date' },
+    { label: 'Date/Time', value: 'datetime' },
+    { label: 'Checkbox', value: 'boolean' },
+    { label: 'Badge', value: 'badge' },
+    { label: 'Progress Bar', value: 'progressBar' },
+    { label: 'Rich Text', value: 'richText' }
+];
+
+const COLUMN_ALIGNMENT_OPTIONS = [
+    { label: 'Default', value: '' },
+    { label: 'Left', value: 'left' },
+    { label: 'Center', value: 'center' },
+    { label: 'Right', value: 'right' }
+];
+
+const ROW_ACTION_CONDITION_OPERATOR_OPTIONS = [
+    { label: 'Equals', value: 'equals' },
+    { label: 'Not Equal To', value: 'notEquals' },
+    { label: 'Is Blank', value: 'isNull' },
+    { label: 'Is Not Blank', value: 'isNotNull' }
+];
+
 export default class SlotTestCpe extends LightningElement {
 
+    filterOperatorOptions = FILTER_OPERATOR_OPTIONS;
+    filterGroupLogicOptions = [
+        { label: 'All conditions (AND)', value: 'AND' },
+        { label: 'Any condition (OR)', value: 'OR' }
+    ];
+    filterLogicOptions = [
+        { label: 'All groups (AND)', value: 'AND' },
+        { label: 'Any group (OR)', value: 'OR' }
+    ];
+    filterHelpText = 'Only records matching these conditions are shown. Values can be {!$User.Id} for the current user or {!$Record.FieldName} for a field on the page\'s record. Date fields accept YYYY-MM-DD or date literals such as TODAY or LAST_N_DAYS:30.';
+
+    // Stored in configJSONString as filterCriteria and kept out of propInputs, which only holds flat values
+    @track filterCriteria = { logic: 'AND', groups: [] };
+
+    columnTypeOptions = COLUMN_TYPE_OPTIONS;
+    columnAlignmentOptions = COLUMN_ALIGNMENT_OPTIONS;
+    // Stored in configJSONString as columns: [{ field, label, width, alignment, wrap, sortable, type, hideOnMobile }]
+    @track columns = [];
+    _dragColumnIndex = null;
+
+    massActionTypeOptions = MASS_ACTION_TYPE_OPTIONS;
+    // Stored in configJSONString as massActions: [{ label, name, type, flowApiName }]
+    @track massActions = [];
+
+    rowActionTypeOptions = ROW_ACTION_TYPE_OPTIONS;
+    rowActionConditionOperatorOptions = ROW_ACTION_CONDITION_OPERATOR_OPTIONS;
+    rowActionUrlHelpText = 'Relative to the site or a full URL. {FieldApiName} inserts a displayed field of the row, {recordId} the row Id and {parentId} the page record Id.';
+    // Stored in configJSONString as rowActions: [{ label, type, url, flowApiName, conditionField, conditionOperator, conditionValue }]
+    @track rowActions = [];
+
+    aggregateFunctionOptions = AGGREGATE_FUNCTION_OPTIONS;
+    // Stored in configJSONString as aggregates: [{ field, function, label }]
+    @track aggregates = [];
+
+    formattingOperatorOptions = FORMATTING_OPERATOR_OPTIONS;
+    formattingTargetOptions = FORMATTING_TARGET_OPTIONS;
+    // Stored in configJSONString as formattingRules: [{ field, operator, value, target, textColor, backgroundColor, iconName, badge }]
+    @track formattingRules = [];
+
     @track propInputs = {
         recordId: {
             key: 'recordId',
@@ -20,7 +150,7 @@ export default class SlotTestCpe extends LightningElement {
             key: 'relatedListType',
             label: 'Related List Type',
             type: 'select',
-            help: 'Choose the type of related list to display. Standard uses SOQL or Related List API. Files displays attached files. Case Articles shows Knowledge Articles linked to the Case.',
+            help: 'Choose the type of related list to display. Standard uses SOQL or Related List API. Files displays attached files. Case Articles shows Knowledge Articles linked to the Case. Activity History merges tasks, calls, events and emails.',
             required: false,
             valuePath: 'relatedListType',
             value: 'standard',
@@ -30,7 +160,8 @@ export default class SlotTestCpe extends LightningElement {
                 { label: 'Related List', value: 'standard' },
                 { label: 'Related Files', value: 'files' },
                 { label: 'Related Case Articles', value: 'articles' },
-                { label: 'Related Email Activity', value: 'emails' }
+                { label: 'Related Email Activity', value: 'emails' },
+                { label: 'Activity History', value: 'activities' }
             ]
         },
         relatedListLabel: {
@@ -144,35 +275,35 @@ export default class SlotTestCpe extends LightningElement {
             doSetDefaultValue: true,
             classes: defaultCSSClasses
         },
-        enabledFields: {
-            key: 'enabledFields',
-            label: 'Included Fields (Optional)',
+        recordPageUrl: {
+            key: 'recordPageUrl',
+            label: 'Record Detail Page URL',
             type: 'text',
-            help: 'Comma-separated field names to display (e.g., \'Name,Email,Phone\'). Leave blank for default fields.',
+            help: 'URL pattern for record detail pages. Use :recordId as placeholder (e.g., /contact/:recordId), and :objectApiName for the record\'s object (e.g., /:objectApiName/:recordId) so lookups link to their related records too. Leave blank to disable linking.',
             required: false,
-            valuePath: 'enabledFields',
+            valuePath: 'recordPageUrl',
             value: '',
             doSetDefaultValue: true,
             classes: defaultCSSClasses
         },
-        fieldNames: {
-            key: 'fieldNames',
-            label: 'Field Names (Custom Headers)',
+        emailDetailPageUrl: {
+            key: 'emailDetailPageUrl',
+            label: 'Email Detail Page URL',
             type: 'text',
-            help: 'Comma-separated custom column headers (e.g., "Asset Name,Product,Status"). Maps 1:1 with Enabled Fields. Leave blank to use default field labels.',
+            help: 'URL pattern for the page with the Custom Email Detail component. Use :recordId as placeholder. Defaults to /emailmessage/:recordId.',
             required: false,
-            valuePath: 'fieldNames',
+            valuePath: 'emailDetailPageUrl',
             value: '',
             doSetDefaultValue: true,
             classes: defaultCSSClasses
         },
-        recordPageUrl: {
-            key: 'recordPageUrl',
-            label: 'Record Detail Page URL',
+        eventDetailPageUrl: {
+            key: 'eventDetailPageUrl',
+            label: 'Event Detail Page URL',
             type: 'text',
-            help: 'URL pattern for record detail pages. Use :recordId as placeholder (e.g., /contact/:recordId). Leave blank to disable linking.',
+            help: 'URL pattern for the page with the Custom Event Detail component. Use :recordId as placeholder. Defaults to /event/:recordId.',
             required: false,
-            valuePath: 'recordPageUrl',
+            valuePath: 'eventDetailPageUrl',
             value: '',
             doSetDefaultValue: true,
             classes: defaultCSSClasses
@@ -203,18 +334,51 @@ export default class SlotTestCpe extends LightningElement {
             key: 'maxRecordsToFetch',
             label: 'Maximum Records to Fetch',
             type: 'number',
-            help: 'Maximum number of records to fetch from the server (applies to Standard and Files types). Default: 50. Higher values may impact performance.',
+            help: 'Number of records to fetch from the server per request. For Related Lists, Load More and Endless Scrolling fetch the next batch from the server once the loaded records are shown. For Files, this is the maximum number of files loaded. Default: 50. Higher values may impact performance.',
             required: false,
             valuePath: 'maxRecordsToFetch',
             value: 50,
             doSetDefaultValue: true,
             classes: defaultCSSClasses
         },
+        cacheTtlMinutes: {
+            key: 'cacheTtlMinutes',
+            label: 'Cache Duration (Minutes)',
+            type: 'number',
+            help: 'How long loaded records are kept in the browser session. Cached records are shown immediately while fresh data loads in the background, and the cache is cleared after a delete or edit. Set to 0 to turn caching off. Default: 5.',
+            required: false,
+            valuePath: 'cacheTtlMinutes',
+            value: 5,
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        enableRealTimeUpdates: {
+            key: 'enableRealTimeUpdates',
+            label: 'Enable Real-Time Updates',
+            type: 'checkbox',
+            help: 'Update the list as records change, using Change Data Capture for the related object (enable it in Setup). Changed and deleted rows update in place, new rows appear behind a "New records available" banner.',
+            required: false,
+            valuePath: 'enableRealTimeUpdates',
+            value: false,
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        realTimeChannel: {
+            key: 'realTimeChannel',
+            label: 'Real-Time Channel',
+            type: 'text',
+            help: 'Leave blank for the related object\'s Change Data Capture channel (e.g., /data/ContactChangeEvent). A Platform Event channel (e.g., /event/Record_Change__e) must carry RecordId__c, and can add ChangeType__c (CREATE, UPDATE, DELETE or UNDELETE) and ParentId__c.',
+            required: false,
+            valuePath: 'realTimeChannel',
+            value: '',
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
         defaultColumnWidth: {
             key: 'defaultColumnWidth',
             label: 'Default Column Width',
             type: 'number',
-            help: 'Set a fixed width (in pixels) for all columns. Leave blank for automatic sizing. Recommended range: 80-400 pixels.',
+            help: 'Set a fixed width (in pixels) for columns without their own width. Leave blank for automatic sizing. Recommended range: 80-400 pixels.',
             required: false,
             valuePath: 'defaultColumnWidth',
             value: '',
@@ -265,6 +429,125 @@ export default class SlotTestCpe extends LightningElement {
             doSetDefaultValue: true,
             classes: defaultCSSClasses
         },
+        enableSearch: {
+            key: 'enableSearch',
+            label: 'Show Search Box',
+            type: 'checkbox',
+            help: 'Show a search box in the header that filters the list as you type. When not all records are loaded, Related Lists search on the server.',
+            required: false,
+            valuePath: 'enableSearch',
+            value: false,
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        enableExport: {
+            key: 'enableExport',
+            label: 'Enable Export',
+            type: 'checkbox',
+            help: 'Show an export menu in the header to download the list as a CSV or Excel file. The export uses the current search, filter and sort, and includes records not yet loaded.',
+            required: false,
+            valuePath: 'enableExport',
+            value: false,
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        defaultSortField: {
+            key: 'defaultSortField',
+            label: 'Default Sort Field',
+            type: 'text',
+            help: 'API name of the displayed field the list is sorted by until the user picks another sort (e.g., CloseDate). Separate several fields with commas for a multi-column sort. Users can shift-click column headers to add secondary sorts, and their last sort is remembered.',
+            required: false,
+            valuePath: 'defaultSortField',
+            value: '',
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        defaultSortDirection: {
+            key: 'defaultSortDirection',
+            label: 'Default Sort Direction',
+            type: 'select',
+            help: 'Direction of the default sort.',
+            required: false,
+            valuePath: 'defaultSortDirection',
+            value: 'asc',
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses,
+            options: [
+                { label: 'Ascending', value: 'asc' },
+                { label: 'Descending', value: 'desc' }
+            ]
+        },
+        dateFormat: {
+            key: 'dateFormat',
+            label: 'Date Format',
+            type: 'select',
+            help: 'How dates are written. Dates and times always follow the viewing user\'s locale and time zone.',
+            required: false,
+            valuePath: 'dateFormat',
+            value: 'numeric',
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses,
+            options: [
+                { label: 'Numeric (e.g., 1/31/2025)', value: 'numeric' },
+                { label: 'Short Month (e.g., Jan 31, 2025)', value: 'medium' },
+                { label: 'Long Month (e.g., January 31, 2025)', value: 'long' }
+            ]
+        },
+        numberDecimalPlaces: {
+            key: 'numberDecimalPlaces',
+            label: 'Decimal Places',
+            type: 'number',
+            help: 'Number of decimal places shown for number, currency and percent fields. Leave blank to use each field\'s own precision.',
+            required: false,
+            valuePath: 'numberDecimalPlaces',
+            value: '',
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        showPicklistBadges: {
+            key: 'showPicklistBadges',
+            label: 'Show Picklists as Badges',
+            type: 'checkbox',
+            help: 'Show picklist values as coloured badges. Each value keeps its colour, picked by its position in the picklist.',
+            required: false,
+            valuePath: 'showPicklistBadges',
+            value: false,
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        showPercentBars: {
+            key: 'showPercentBars',
+            label: 'Show Percents as Progress Bars',
+            type: 'checkbox',
+            help: 'Show percent fields as a progress bar next to the value.',
+            required: false,
+            valuePath: 'showPercentBars',
+            value: false,
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        showOwnerAvatars: {
+            key: 'showOwnerAvatars',
+            label: 'Show User Avatars',
+            type: 'checkbox',
+            help: 'Show the user\'s photo (or initials) next to Owner and other user lookups.',
+            required: false,
+            valuePath: 'showOwnerAvatars',
+            value: false,
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        lookupPageUrl: {
+            key: 'lookupPageUrl',
+            label: 'Lookup Record Page URL',
+            type: 'text',
+            help: 'URL pattern lookup fields link to, showing the related record\'s name. Use :recordId and :objectApiName as placeholders (e.g., /detail/:recordId). Leave blank to use the Record Detail Page URL when it contains :objectApiName, or to show the name without a link.',
+            required: false,
+            valuePath: 'lookupPageUrl',
+            value: '',
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
         enableRecordDeletion: {
             key: 'enableRecordDeletion',
             label: 'Enable Record Deletion',
@@ -276,6 +559,94 @@ export default class SlotTestCpe extends LightningElement {
             doSetDefaultValue: true,
             classes: defaultCSSClasses
         },
+        hideCheckboxColumn: {
+            key: 'hideCheckboxColumn',
+            label: 'Hide Row Selection',
+            type: 'checkbox',
+            help: 'Hide the checkbox column. Uncheck to let users select rows and run mass actions on them.',
+            required: false,
+            valuePath: 'hideCheckboxColumn',
+            value: true,
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        enableMassUpdate: {
+            key: 'enableMassUpdate',
+            label: 'Enable Mass Update',
+            type: 'checkbox',
+            help: 'Add an Update Field action for selected rows that sets one field to the same value on every selected record.',
+            required: false,
+            valuePath: 'enableMassUpdate',
+            value: false,
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        enableInlineEditing: {
+            key: 'enableInlineEditing',
+            label: 'Enable Inline Editing',
+            type: 'checkbox',
+            help: 'Let users edit cells in table view and save their changes in bulk. Only fields the user can edit are editable; lookup, multi-select picklist and related object fields are read-only.',
+            required: false,
+            valuePath: 'enableInlineEditing',
+            value: false,
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        editableFields: {
+            key: 'editableFields',
+            label: 'Editable Fields',
+            type: 'text',
+            help: 'Comma-separated API names of the displayed fields that can be edited inline or by mass update (e.g., Status,CloseDate). Leave blank to allow editing every eligible field.',
+            required: false,
+            valuePath: 'editableFields',
+            value: '',
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        enableNewButton: {
+            key: 'enableNewButton',
+            label: 'Show New Button',
+            type: 'checkbox',
+            help: 'Show a New button in the header that creates a related record in a modal form. The lookup to the current record is filled in automatically. Shown only to users who can create the related object.',
+            required: false,
+            valuePath: 'enableNewButton',
+            value: false,
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        newRecordFields: {
+            key: 'newRecordFields',
+            label: 'New Record Fields',
+            type: 'text',
+            help: 'Comma-separated API names of the fields shown on the New form (e.g., LastName,Email,Phone). Leave blank to show the required fields and the displayed fields that can be set on create.',
+            required: false,
+            valuePath: 'newRecordFields',
+            value: '',
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        kanbanField: {
+            key: 'kanbanField',
+            label: 'Kanban Column Field',
+            type: 'text',
+            help: 'API name of a displayed picklist field (e.g., StageName or Status). Each picklist value gets a column, and dragging a card to another column updates the field when the user can edit it.',
+            required: false,
+            valuePath: 'kanbanField',
+            value: '',
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        groupByField: {
+            key: 'groupByField',
+            label: 'Group By Field',
+            type: 'text',
+            help: 'API name of a displayed field to group records by (e.g., Priority or Status). Each group can be collapsed and shows its record count. Leave blank to show a flat list.',
+            required: false,
+            valuePath: 'groupByField',
+            value: '',
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
         showDebugInfo: {
             key: 'showDebugInfo',
             label: 'Show Debug Information',
@@ -291,7 +662,7 @@ export default class SlotTestCpe extends LightningElement {
             key: 'displayMode',
             label: 'Display Mode',
             type: 'select',
-            help: 'Choose how to display records. List View shows data in a table format. Card View displays records in a single-column vertical layout. Note: List view-specific settings (column width, row numbers, resize, sorting) do not apply to card view.',
+            help: 'Choose how to display records. List View shows data in a table format. Card View displays records in a single-column vertical layout. Kanban Board shows the cards in one column per value of a picklist field. Timeline lists records by date under day, week or month headings. Note: List view-specific settings (column width, row numbers, resize, sorting) do not apply to card or kanban view.',
             required: false,
             valuePath: 'displayMode',
             value: 'table',
@@ -299,7 +670,72 @@ export default class SlotTestCpe extends LightningElement {
             classes: defaultCSSClasses,
             options: [
                 { label: 'List', value: 'table' },
-                { label: 'Cards', value: 'cards' }
+                { label: 'Cards', value: 'cards' },
+                { label: 'Kanban Board', value: 'kanban' },
+                { label: 'Timeline', value: 'timeline' }
+            ]
+        },
+        timelineDateField: {
+            key: 'timelineDateField',
+            label: 'Timeline Date Field',
+            type: 'text',
+            help: 'API name of a displayed date or date/time field to order the timeline by (e.g., ActivityDate or CreatedDate). Leave blank to use the first displayed date field.',
+            required: false,
+            valuePath: 'timelineDateField',
+            value: '',
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses
+        },
+        timelineGrouping: {
+            key: 'timelineGrouping',
+            label: 'Timeline Headings',
+            type: 'select',
+            help: 'Group timeline entries under a heading for each day, week or month.',
+            required: false,
+            valuePath: 'timelineGrouping',
+            value: 'day',
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses,
+            options: [
+                { label: 'Day', value: 'day' },
+                { label: 'Week', value: 'week' },
+                { label: 'Month', value: 'month' }
+            ]
+        },
+        timelineOrder: {
+            key: 'timelineOrder',
+            label: 'Timeline Order',
+            type: 'select',
+            help: 'Show the most recent or the oldest entries first.',
+            required: false,
+            valuePath: 'timelineOrder',
+            value: 'newest',
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses,
+            options: [
+                { label: 'Newest First', value: 'newest' },
+                { label: 'Oldest First', value: 'oldest' }
+            ]
+        },
+        emailColumns: {
+            key: 'emailColumns',
+            label: 'Email Columns',
+            type: 'multiselect',
+            help: 'Columns shown for each email, in order. Subject links to the email when record linking is set up.',
+            required: false,
+            valuePath: 'emailColumns',
+            value: ['subject', 'status', 'isOpened', 'messageDate'],
+            doSetDefaultValue: true,
+            classes: defaultCSSClasses,
+            options: [
+                { label: 'Subject', value: 'subject' },
+                { label: 'From', value: 'from' },
+                { label: 'To', value: 'to' },
+                { label: 'Status', value: 'status' },
+                { label: 'Message Date', value: 'messageDate' },
+                { label: 'Has Attachment', value: 'hasAttachment' },
+                { label: 'Direction', value: 'direction' },
+                { label: 'Opened?', value: 'isOpened' }
             ]
         },
         filesGridColumns: {
@@ -355,10 +791,19 @@ export default class SlotTestCpe extends LightningElement {
 
     get showTableSettings() {
         return this.propInputs.relatedListType.value === 'standard' || 
-            this.propInputs.relatedListType.value === 'articles';
+            this.propInputs.relatedListType.value === 'articles' ||
+            this.propInputs.relatedListType.value === 'activities';
+    }
+
+    get isActivitiesType() {
+        return this.propInputs.relatedListType.value === 'activities';
     }
 
     // Conditional visibility for action buttons
+    get showRealTimeChannel() {
+        return this.showViewAllSettings && this.propInputs.enableRealTimeUpdates.value;
+    }
+
     get showViewAllSettings() {
         // Hide View All for Files and Articles - only show for Standard
         return this.propInputs.relatedListType.value === 'standard';
@@ -370,23 +815,62 @@ export default class SlotTestCpe extends LightningElement {
         return this.propInputs.relatedListType.value !== 'files';
     }
 
+    // Group by choices for the Files list - file type or the file's owner
+    get filesGroupByOptions() {
+        return [
+            { label: 'None', value: '' },
+            { label: 'File Type', value: 'fileExtension' },
+            { label: 'Owner', value: 'createdBy' }
+        ];
+    }
+
     // Check if Cards display mode is selected
     get isCardsMode() {
         return this.propInputs.displayMode.value === 'cards';
     }
 
+    get isKanbanMode() {
+        return this.propInputs.displayMode.value === 'kanban';
+    }
+
+    get isTimelineMode() {
+        return this.propInputs.displayMode.value === 'timeline';
+    }
+
+    get showEmailSettings() {
+        return this.propInputs.relatedListType.value === 'emails';
+    }
+
+    // Email activity has fixed columns, so it can only be a list or a timeline
+    get emailDisplayModeOptions() {
+        return this.propInputs.displayMode.options.filter(option => option.value === 'table' || option.value === 'timeline');
+    }
+
     get isStandardType() {
         return this.propInputs.relatedListType.value === 'standard';
     }
 
+    get showEditableFieldsInput() {
+        return this.propInputs.enableInlineEditing.value === true || this.propInputs.enableMassUpdate.value === true;
+    }
+
+    get showNewRecordFieldsInput() {
+        return this.propInputs.enableNewButton.value === true;
+    }
+
+    get showMassActionSettings() {
+        return this.propInputs.hideCheckboxColumn.value !== true;
+    }
+
     get showInfiniteLoadingOption() {
         // Hide infinite loading ONLY for Files type
         return this.propInputs.relatedListType.value !== 'files';
     }
 
     get showMaxRecordsFetchOption() {
-        // Show for Standard and Files types, hide for Articles
-        return this.propInputs.relatedListType.value !== 'articles';
+        // Show for Standard and Files types, hide for Articles and Activities, which load everything at once
+        return this.propInputs.relatedListType.value !== 'articles' &&
+            this.propInputs.relatedListType.value !== 'activities';
     }
 
 
@@ -436,6 +920,24 @@ export default class SlotTestCpe extends LightningElement {
             }
         }
 
+        // Lists saved before the column editor had enabledFields and fieldNames comma lists - move them to columns
+        this.columns = this.normalizeColumns(Array.isArray(valuetmp.columns) ? valuetmp.columns : this.migrateColumns(valuetmp));
+        if (!Array.isArray(valuetmp.columns) && (valuetmp.enabledFields || valuetmp.fieldNames)) {
+            delete valuetmp.enabledFields;
+            delete valuetmp.fieldNames;
+            if (this.columns.length > 0) {
+                valuetmp.columns = JSON.parse(JSON.stringify(this.columns));
+            }
+            value = JSON.stringify(valuetmp);
+            hasValueChanged = true;
+        }
+
+        this.filterCriteria = this.normalizeFilterCriteria(valuetmp.filterCriteria);
+        this.massActions = this.normalizeMassActions(valuetmp.massActions);
+        this.rowActions = this.normalizeRowActions(valuetmp.rowActions);
+        this.aggregates = this.normalizeAggregates(valuetmp.aggregates);
+        this.formattingRules = this.normalizeFormattingRules(valuetmp.formattingRules);
+
         this._value = value;
         
         if (hasValueChanged === true) {
@@ -573,131 +1075,266 @@ export default class SlotTestCpe extends LightningElement {
         }
     }
 
-    handleFilesGridColumnsChange(e) {
+    handleDefaultSortFieldChange() {
+        try {
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.defaultSortField.key}"]`);
+            const newValue = inputElement ? inputElement.value.trim() : '';
+            
+            if (this.propInputs.defaultSortField.value !== newValue) {
+                this.propInputs.defaultSortField.value = newValue;
+                let tmpvalueObj = this.getValueObj();
+                tmpvalueObj.defaultSortField = this.propInputs.defaultSortField.value;
+                
+                this._value = JSON.stringify(tmpvalueObj);
+                this.dispatchEvent(new CustomEvent("valuechange", 
+                    {detail: {value: this._value}}));
+            }
+        } catch {
+            //console.error('Error in handleDefaultSortFieldChange');
+        }
+    }
+
+    handleDefaultSortDirectionChange(e) {
         try {
             const newValue = this.getEventValue(e, false);
-            this.propInputs.filesGridColumns.value = newValue;
+            this.propInputs.defaultSortDirection.value = newValue;
             let tmpvalueObj = this.getValueObj();
-            tmpvalueObj.filesGridColumns = this.propInputs.filesGridColumns.value;
+            tmpvalueObj.defaultSortDirection = this.propInputs.defaultSortDirection.value;
             this.dispatchEvent(new CustomEvent("valuechange",
                 {detail: {value: JSON.stringify(tmpvalueObj)}}));
-        } catch (error) {
-            //console.error('Error in handleFilesGridColumnsChange:', error);
+        } catch {
+            //console.error('Error in handleDefaultSortDirectionChange');
         }
     }
 
-    handleCardGridColumnsChange(e) {
+    handleDateFormatChange(e) {
         try {
             const newValue = this.getEventValue(e, false);
-            this.propInputs.cardGridColumns.value = newValue;
+            this.propInputs.dateFormat.value = newValue;
             let tmpvalueObj = this.getValueObj();
-            tmpvalueObj.cardGridColumns = this.propInputs.cardGridColumns.value;
+            tmpvalueObj.dateFormat = this.propInputs.dateFormat.value;
             this.dispatchEvent(new CustomEvent("valuechange",
                 {detail: {value: JSON.stringify(tmpvalueObj)}}));
-        } catch (error) {
-            //console.error('Error in handleCardGridColumnsChange:', error);
+        } catch {
+            //console.error('Error in handleDateFormatChange');
         }
     }
 
-    handleShowViewMoreChange(e) {
+    handleNumberDecimalPlacesChange() {
         try {
-            const newValue = this.getEventValue(e, true);
-            this.propInputs.showViewMore.value = newValue;
-            let tmpvalueObj = this.getValueObj();
-            tmpvalueObj.showViewMore = this.propInputs.showViewMore.value;
-            this.dispatchEvent(new CustomEvent("valuechange", 
-                {detail: {value: JSON.stringify(tmpvalueObj)}}));
-        } catch (error) {
-            //console.error('Error in handleShowViewMoreChange:', error);
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.numberDecimalPlaces.key}"]`);
+            const newValue = inputElement ? inputElement.value : '';
+            
+            const numericValue = newValue && newValue.trim() !== '' ? parseInt(newValue, 10) : '';
+            
+            if (this.propInputs.numberDecimalPlaces.value !== numericValue) {
+                this.propInputs.numberDecimalPlaces.value = numericValue;
+                let tmpvalueObj = this.getValueObj();
+                tmpvalueObj.numberDecimalPlaces = this.propInputs.numberDecimalPlaces.value;
+                
+                this.dispatchEvent(new CustomEvent("valuechange", 
+                    {detail: {value: JSON.stringify(tmpvalueObj)}}));
+            }
+        } catch {
+            //console.error('Error in handleNumberDecimalPlacesChange');
         }
     }
 
-    handleShowViewAllChange(e) {
+    handleFilesGridColumnsChange(e) {
         try {
-            const newValue = this.getEventValue(e, true);
-            this.propInputs.showViewAll.value = newValue;
+            const newValue = this.getEventValue(e, false);
+            this.propInputs.filesGridColumns.value = newValue;
             let tmpvalueObj = this.getValueObj();
-            tmpvalueObj.showViewAll = this.propInputs.showViewAll.value;
-            this.dispatchEvent(new CustomEvent("valuechange", 
+            tmpvalueObj.filesGridColumns = this.propInputs.filesGridColumns.value;
+            this.dispatchEvent(new CustomEvent("valuechange",
                 {detail: {value: JSON.stringify(tmpvalueObj)}}));
         } catch (error) {
-            //console.error('Error in handleShowViewAllChange:', error);
+            //console.error('Error in handleFilesGridColumnsChange:', error);
         }
     }
 
-    handleViewAllUrlChange(e) {
+    handleTimelineDateFieldChange() {
         try {
-            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.viewAllUrl.key}"]`);
-            const newValue = inputElement ? inputElement.value : '';
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.timelineDateField.key}"]`);
+            const newValue = inputElement ? inputElement.value.trim() : '';
             
-            if (this.propInputs.viewAllUrl.value !== newValue) {
-                this.propInputs.viewAllUrl.value = newValue;
+            if (this.propInputs.timelineDateField.value !== newValue) {
+                this.propInputs.timelineDateField.value = newValue;
                 let tmpvalueObj = this.getValueObj();
-                tmpvalueObj.viewAllUrl = this.propInputs.viewAllUrl.value;
+                tmpvalueObj.timelineDateField = this.propInputs.timelineDateField.value;
                 
                 this._value = JSON.stringify(tmpvalueObj);
                 this.dispatchEvent(new CustomEvent("valuechange", 
                     {detail: {value: this._value}}));
             }
-        } catch (error) {
-            //console.error('Error in handleViewAllUrlChange:', error);
+        } catch {
+            //console.error('Error in handleTimelineDateFieldChange');
         }
     }
 
-    handleRelatedListNameChange(e) {
+    handleTimelineGroupingChange(e) {
         try {
-            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.relatedListName.key}"]`);
-            const newValue = inputElement ? inputElement.value : '';
+            const newValue = this.getEventValue(e, false);
+            this.propInputs.timelineGrouping.value = newValue;
+            let tmpvalueObj = this.getValueObj();
+            tmpvalueObj.timelineGrouping = this.propInputs.timelineGrouping.value;
+            this.dispatchEvent(new CustomEvent("valuechange",
+                {detail: {value: JSON.stringify(tmpvalueObj)}}));
+        } catch {
+            //console.error('Error in handleTimelineGroupingChange');
+        }
+    }
+
+    handleTimelineOrderChange(e) {
+        try {
+            const newValue = this.getEventValue(e, false);
+            this.propInputs.timelineOrder.value = newValue;
+            let tmpvalueObj = this.getValueObj();
+            tmpvalueObj.timelineOrder = this.propInputs.timelineOrder.value;
+            this.dispatchEvent(new CustomEvent("valuechange",
+                {detail: {value: JSON.stringify(tmpvalueObj)}}));
+        } catch {
+            //console.error('Error in handleTimelineOrderChange');
+        }
+    }
+
+    handleEmailColumnsChange(e) {
+        try {
+            this.propInputs.emailColumns.value = [...e.detail.value];
+            let tmpvalueObj = this.getValueObj();
+            tmpvalueObj.emailColumns = this.propInputs.emailColumns.value;
+            this.dispatchEvent(new CustomEvent("valuechange",
+                {detail: {value: JSON.stringify(tmpvalueObj)}}));
+        } catch {
+            //console.error('Error in handleEmailColumnsChange');
+        }
+    }
+
+    handleKanbanFieldChange() {
+        try {
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.kanbanField.key}"]`);
+            const newValue = inputElement ? inputElement.value.trim() : '';
             
-            if (this.propInputs.relatedListName.value !== newValue) {
-                this.propInputs.relatedListName.value = newValue;
+            if (this.propInputs.kanbanField.value !== newValue) {
+                this.propInputs.kanbanField.value = newValue;
                 let tmpvalueObj = this.getValueObj();
-                tmpvalueObj.relatedListName = this.propInputs.relatedListName.value;
+                tmpvalueObj.kanbanField = this.propInputs.kanbanField.value;
+                
+                this._value = JSON.stringify(tmpvalueObj);
+                this.dispatchEvent(new CustomEvent("valuechange", 
+                    {detail: {value: this._value}}));
+            }
+        } catch {
+            //console.error('Error in handleKanbanFieldChange');
+        }
+    }
+
+    handleGroupByFieldChange() {
+        try {
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.groupByField.key}"]`);
+            const newValue = inputElement ? inputElement.value.trim() : '';
+            
+            if (this.propInputs.groupByField.value !== newValue) {
+                this.propInputs.groupByField.value = newValue;
+                let tmpvalueObj = this.getValueObj();
+                tmpvalueObj.groupByField = this.propInputs.groupByField.value;
                 
                 this._value = JSON.stringify(tmpvalueObj);
                 this.dispatchEvent(new CustomEvent("valuechange", 
                     {detail: {value: this._value}}));
             }
+        } catch {
+            //console.error('Error in handleGroupByFieldChange');
+        }
+    }
+
+    handleFilesGroupByChange(e) {
+        try {
+            const newValue = this.getEventValue(e, false);
+            this.propInputs.groupByField.value = newValue;
+            let tmpvalueObj = this.getValueObj();
+            tmpvalueObj.groupByField = this.propInputs.groupByField.value;
+            this.dispatchEvent(new CustomEvent("valuechange",
+                {detail: {value: JSON.stringify(tmpvalueObj)}}));
+        } catch {
+            //console.error('Error in handleFilesGroupByChange');
+        }
+    }
+
+    handleCardGridColumnsChange(e) {
+        try {
+            const newValue = this.getEventValue(e, false);
+            this.propInputs.cardGridColumns.value = newValue;
+            let tmpvalueObj = this.getValueObj();
+            tmpvalueObj.cardGridColumns = this.propInputs.cardGridColumns.value;
+            this.dispatchEvent(new CustomEvent("valuechange",
+                {detail: {value: JSON.stringify(tmpvalueObj)}}));
         } catch (error) {
-            //console.error('Error in handleRelatedListNameChange:', error);
+            //console.error('Error in handleCardGridColumnsChange:', error);
+        }
+    }
+
+    handleShowViewMoreChange(e) {
+        try {
+            const newValue = this.getEventValue(e, true);
+            this.propInputs.showViewMore.value = newValue;
+            let tmpvalueObj = this.getValueObj();
+            tmpvalueObj.showViewMore = this.propInputs.showViewMore.value;
+            this.dispatchEvent(new CustomEvent("valuechange", 
+                {detail: {value: JSON.stringify(tmpvalueObj)}}));
+        } catch (error) {
+            //console.error('Error in handleShowViewMoreChange:', error);
+        }
+    }
+
+    handleShowViewAllChange(e) {
+        try {
+            const newValue = this.getEventValue(e, true);
+            this.propInputs.showViewAll.value = newValue;
+            let tmpvalueObj = this.getValueObj();
+            tmpvalueObj.showViewAll = this.propInputs.showViewAll.value;
+            this.dispatchEvent(new CustomEvent("valuechange", 
+                {detail: {value: JSON.stringify(tmpvalueObj)}}));
+        } catch (error) {
+            //console.error('Error in handleShowViewAllChange:', error);
         }
     }
 
-    handleEnabledFieldsChange(e) {
+    handleViewAllUrlChange(e) {
         try {
-            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.enabledFields.key}"]`);
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.viewAllUrl.key}"]`);
             const newValue = inputElement ? inputElement.value : '';
             
-            if (this.propInputs.enabledFields.value !== newValue) {
-                this.propInputs.enabledFields.value = newValue;
+            if (this.propInputs.viewAllUrl.value !== newValue) {
+                this.propInputs.viewAllUrl.value = newValue;
                 let tmpvalueObj = this.getValueObj();
-                tmpvalueObj.enabledFields = this.propInputs.enabledFields.value;
+                tmpvalueObj.viewAllUrl = this.propInputs.viewAllUrl.value;
                 
                 this._value = JSON.stringify(tmpvalueObj);
                 this.dispatchEvent(new CustomEvent("valuechange", 
                     {detail: {value: this._value}}));
             }
         } catch (error) {
-            //console.error('Error in handleEnabledFieldsChange:', error);
+            //console.error('Error in handleViewAllUrlChange:', error);
         }
     }
 
-    handleFieldNamesChange(e) {
+    handleRelatedListNameChange(e) {
         try {
-            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.fieldNames.key}"]`);
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.relatedListName.key}"]`);
             const newValue = inputElement ? inputElement.value : '';
             
-            if (this.propInputs.fieldNames.value !== newValue) {
-                this.propInputs.fieldNames.value = newValue;
+            if (this.propInputs.relatedListName.value !== newValue) {
+                this.propInputs.relatedListName.value = newValue;
                 let tmpvalueObj = this.getValueObj();
-                tmpvalueObj.fieldNames = this.propInputs.fieldNames.value;
+                tmpvalueObj.relatedListName = this.propInputs.relatedListName.value;
                 
                 this._value = JSON.stringify(tmpvalueObj);
                 this.dispatchEvent(new CustomEvent("valuechange", 
                     {detail: {value: this._value}}));
             }
         } catch (error) {
-            //console.error('Error in handleFieldNamesChange:', error);
+            //console.error('Error in handleRelatedListNameChange:', error);
         }
     }
 
@@ -738,6 +1375,114 @@ export default class SlotTestCpe extends LightningElement {
         }
     }
 
+    handleEmailDetailPageUrlChange() {
+        try {
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.emailDetailPageUrl.key}"]`);
+            const newValue = inputElement ? inputElement.value.trim() : '';
+
+            if (this.propInputs.emailDetailPageUrl.value !== newValue) {
+                this.propInputs.emailDetailPageUrl.value = newValue;
+                let tmpvalueObj = this.getValueObj();
+                tmpvalueObj.emailDetailPageUrl = this.propInputs.emailDetailPageUrl.value;
+
+                this.dispatchEvent(new CustomEvent("valuechange",
+                    {detail: {value: JSON.stringify(tmpvalueObj)}}));
+            }
+        } catch {
+            //console.error('Error in handleEmailDetailPageUrlChange');
+        }
+    }
+
+    handleEventDetailPageUrlChange() {
+        try {
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.eventDetailPageUrl.key}"]`);
+            const newValue = inputElement ? inputElement.value.trim() : '';
+
+            if (this.propInputs.eventDetailPageUrl.value !== newValue) {
+                this.propInputs.eventDetailPageUrl.value = newValue;
+                let tmpvalueObj = this.getValueObj();
+                tmpvalueObj.eventDetailPageUrl = this.propInputs.eventDetailPageUrl.value;
+
+                this.dispatchEvent(new CustomEvent("valuechange",
+                    {detail: {value: JSON.stringify(tmpvalueObj)}}));
+            }
+        } catch {
+            //console.error('Error in handleEventDetailPageUrlChange');
+        }
+    }
+
+    handleShowPicklistBadgesChange() {
+        try {
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.showPicklistBadges.key}"]`);
+            const newValue = inputElement ? inputElement.checked : false;
+
+            if (this.propInputs.showPicklistBadges.value !== newValue) {
+                this.propInputs.showPicklistBadges.value = newValue;
+                let tmpvalueObj = this.getValueObj();
+                tmpvalueObj.showPicklistBadges = this.propInputs.showPicklistBadges.value;
+
+                this.dispatchEvent(new CustomEvent("valuechange",
+                    {detail: {value: JSON.stringify(tmpvalueObj)}}));
+            }
+        } catch {
+            //console.error('Error in handleShowPicklistBadgesChange');
+        }
+    }
+
+    handleShowPercentBarsChange() {
+        try {
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.showPercentBars.key}"]`);
+            const newValue = inputElement ? inputElement.checked : false;
+
+            if (this.propInputs.showPercentBars.value !== newValue) {
+                this.propInputs.showPercentBars.value = newValue;
+                let tmpvalueObj = this.getValueObj();
+                tmpvalueObj.showPercentBars = this.propInputs.showPercentBars.value;
+
+                this.dispatchEvent(new CustomEvent("valuechange",
+                    {detail: {value: JSON.stringify(tmpvalueObj)}}));
+            }
+        } catch {
+            //console.error('Error in handleShowPercentBarsChange');
+        }
+    }
+
+    handleShowOwnerAvatarsChange() {
+        try {
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.showOwnerAvatars.key}"]`);
+            const newValue = inputElement ? inputElement.checked : false;
+
+            if (this.propInputs.showOwnerAvatars.value !== newValue) {
+                this.propInputs.showOwnerAvatars.value = newValue;
+                let tmpvalueObj = this.getValueObj();
+                tmpvalueObj.showOwnerAvatars = this.propInputs.showOwnerAvatars.value;
+
+                this.dispatchEvent(new CustomEvent("valuechange",
+                    {detail: {value: JSON.stringify(tmpvalueObj)}}));
+            }
+        } catch {
+            //console.error('Error in handleShowOwnerAvatarsChange');
+        }
+    }
+
+    handleLookupPageUrlChange() {
+        try {
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.lookupPageUrl.key}"]`);
+            const newValue = inputElement ? inputElement.value.trim() : '';
+
+            if (this.propInputs.lookupPageUrl.value !== newValue) {
+                this.propInputs.lookupPageUrl.value = newValue;
+                let tmpvalueObj = this.getValueObj();
+                tmpvalueObj.lookupPageUrl = this.propInputs.lookupPageUrl.value;
+
+                this.dispatchEvent(new CustomEvent("valuechange",
+                    {detail: {value: JSON.stringify(tmpvalueObj)}}));
+            }
+        } catch {
+            //console.error('Error in handleLookupPageUrlChange');
+        }
+    }
+
     handleEnableRecordLinkingChange(e) {
         try {
             const inputElement = this.template.querySelector(`[data-key="${this.propInputs.enableRecordLinking.key}"]`);
@@ -782,6 +1527,56 @@ export default class SlotTestCpe extends LightningElement {
         }
     }
 
+    handleCacheTtlMinutesChange(e) {
+        try {
+            const parsedValue = parseInt(this.getEventValue(e), 10);
+            const newValue = isNaN(parsedValue) || parsedValue < 0 ? 5 : parsedValue;
+            this.propInputs.cacheTtlMinutes.value = newValue;
+            let tmpvalueObj = this.getValueObj();
+            tmpvalueObj.cacheTtlMinutes = this.propInputs.cacheTtlMinutes.value;
+            this.dispatchEvent(new CustomEvent("valuechange",
+                {detail: {value: JSON.stringify(tmpvalueObj)}}));
+        } catch {
+            //console.error('Error in handleCacheTtlMinutesChange');
+        }
+    }
+
+    handleEnableRealTimeUpdatesChange() {
+        try {
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.enableRealTimeUpdates.key}"]`);
+            const newValue = inputElement ? inputElement.checked : false;
+
+            if (this.propInputs.enableRealTimeUpdates.value !== newValue) {
+                this.propInputs.enableRealTimeUpdates.value = newValue;
+                let tmpvalueObj = this.getValueObj();
+                tmpvalueObj.enableRealTimeUpdates = this.propInputs.enableRealTimeUpdates.value;
+
+                this.dispatchEvent(new CustomEvent("valuechange",
+                    {detail: {value: JSON.stringify(tmpvalueObj)}}));
+            }
+        } catch {
+            //console.error('Error in handleEnableRealTimeUpdatesChange');
+        }
+    }
+
+    handleRealTimeChannelChange() {
+        try {
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.realTimeChannel.key}"]`);
+            const newValue = inputElement ? inputElement.value.trim() : '';
+
+            if (this.propInputs.realTimeChannel.value !== newValue) {
+                this.propInputs.realTimeChannel.value = newValue;
+                let tmpvalueObj = this.getValueObj();
+                tmpvalueObj.realTimeChannel = this.propInputs.realTimeChannel.value;
+
+                this.dispatchEvent(new CustomEvent("valuechange",
+                    {detail: {value: JSON.stringify(tmpvalueObj)}}));
+            }
+        } catch {
+            //console.error('Error in handleRealTimeChannelChange');
+        }
+    }
+
     handleDefaultColumnWidthChange(e) {
         try {
             const inputElement = this.template.querySelector(`[data-key="${this.propInputs.defaultColumnWidth.key}"]`);
@@ -854,6 +1649,32 @@ export default class SlotTestCpe extends LightningElement {
         }
     }
 
+    handleEnableSearchChange(e) {
+        try {
+            const newValue = this.getEventValue(e, true);
+            this.propInputs.enableSearch.value = newValue;
+            let tmpvalueObj = this.getValueObj();
+            tmpvalueObj.enableSearch = this.propInputs.enableSearch.value;
+            this.dispatchEvent(new CustomEvent("valuechange",
+                {detail: {value: JSON.stringify(tmpvalueObj)}}));
+        } catch {
+            //console.error('Error in handleEnableSearchChange');
+        }
+    }
+
+    handleEnableExportChange(e) {
+        try {
+            const newValue = this.getEventValue(e, true);
+            this.propInputs.enableExport.value = newValue;
+            let tmpvalueObj = this.getValueObj();
+            tmpvalueObj.enableExport = this.propInputs.enableExport.value;
+            this.dispatchEvent(new CustomEvent("valuechange",
+                {detail: {value: JSON.stringify(tmpvalueObj)}}));
+        } catch {
+            //console.error('Error in handleEnableExportChange');
+        }
+    }
+
     handleEnableRecordDeletionChange(e) {
         try {
             const newValue = this.getEventValue(e, true);
@@ -867,6 +1688,96 @@ export default class SlotTestCpe extends LightningElement {
         }
     }
 
+    handleHideCheckboxColumnChange(e) {
+        try {
+            const newValue = this.getEventValue(e, true);
+            this.propInputs.hideCheckboxColumn.value = newValue;
+            let tmpvalueObj = this.getValueObj();
+            tmpvalueObj.hideCheckboxColumn = this.propInputs.hideCheckboxColumn.value;
+            this.dispatchEvent(new CustomEvent("valuechange",
+                {detail: {value: JSON.stringify(tmpvalueObj)}}));
+        } catch {
+            //console.error('Error in handleHideCheckboxColumnChange');
+        }
+    }
+
+    handleEnableMassUpdateChange(e) {
+        try {
+            const newValue = this.getEventValue(e, true);
+            this.propInputs.enableMassUpdate.value = newValue;
+            let tmpvalueObj = this.getValueObj();
+            tmpvalueObj.enableMassUpdate = this.propInputs.enableMassUpdate.value;
+            this.dispatchEvent(new CustomEvent("valuechange",
+                {detail: {value: JSON.stringify(tmpvalueObj)}}));
+        } catch {
+            //console.error('Error in handleEnableMassUpdateChange');
+        }
+    }
+
+    handleEnableInlineEditingChange(e) {
+        try {
+            const newValue = this.getEventValue(e, true);
+            this.propInputs.enableInlineEditing.value = newValue;
+            let tmpvalueObj = this.getValueObj();
+            tmpvalueObj.enableInlineEditing = this.propInputs.enableInlineEditing.value;
+            this.dispatchEvent(new CustomEvent("valuechange",
+                {detail: {value: JSON.stringify(tmpvalueObj)}}));
+        } catch {
+            //console.error('Error in handleEnableInlineEditingChange');
+        }
+    }
+
+    handleEditableFieldsChange() {
+        try {
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.editableFields.key}"]`);
+            const newValue = inputElement ? inputElement.value : '';
+            
+            if (this.propInputs.editableFields.value !== newValue) {
+                this.propInputs.editableFields.value = newValue;
+                let tmpvalueObj = this.getValueObj();
+                tmpvalueObj.editableFields = this.propInputs.editableFields.value;
+                
+                this._value = JSON.stringify(tmpvalueObj);
+                this.dispatchEvent(new CustomEvent("valuechange", 
+                    {detail: {value: this._value}}));
+            }
+        } catch {
+            //console.error('Error in handleEditableFieldsChange');
+        }
+    }
+
+    handleEnableNewButtonChange(e) {
+        try {
+            const newValue = this.getEventValue(e, true);
+            this.propInputs.enableNewButton.value = newValue;
+            let tmpvalueObj = this.getValueObj();
+            tmpvalueObj.enableNewButton = this.propInputs.enableNewButton.value;
+            this.dispatchEvent(new CustomEvent("valuechange",
+                {detail: {value: JSON.stringify(tmpvalueObj)}}));
+        } catch {
+            //console.error('Error in handleEnableNewButtonChange');
+        }
+    }
+
+    handleNewRecordFieldsChange() {
+        try {
+            const inputElement = this.template.querySelector(`[data-key="${this.propInputs.newRecordFields.key}"]`);
+            const newValue = inputElement ? inputElement.value : '';
+            
+            if (this.propInputs.newRecordFields.value !== newValue) {
+                this.propInputs.newRecordFields.value = newValue;
+                let tmpvalueObj = this.getValueObj();
+                tmpvalueObj.newRecordFields = this.propInputs.newRecordFields.value;
+                
+                this._value = JSON.stringify(tmpvalueObj);
+                this.dispatchEvent(new CustomEvent("valuechange", 
+                    {detail: {value: this._value}}));
+            }
+        } catch {
+            //console.error('Error in handleNewRecordFieldsChange');
+        }
+    }
+
     handleShowDebugInfoChange(e) {
         try {
             const newValue = this.getEventValue(e, true);
@@ -880,6 +1791,513 @@ export default class SlotTestCpe extends LightningElement {
         }
     }
 
+    // ===== FILTER CRITERIA EDITOR =====
+
+    get filterGroups() {
+        return this.filterCriteria.groups.map((group, groupIndex) => ({
+            key: `group-${groupIndex}`,
+            index: groupIndex,
+            label: `Group ${groupIndex + 1}`,
+            logic: group.logic,
+            conditions: group.conditions.map((condition, conditionIndex) => ({
+                key: `condition-${groupIndex}-${conditionIndex}`,
+                index: conditionIndex,
+                field: condition.field,
+                operator: condition.operator,
+                value: condition.value,
+                showValue: !VALUELESS_FILTER_OPERATORS.includes(condition.operator)
+            }))
+        }));
+    }
+
+    get showFilterLogic() {
+        return this.filterCriteria.groups.length > 1;
+    }
+
+    normalizeFilterCriteria(criteria) {
+        const groups = Array.isArray(criteria?.groups) ? criteria.groups : [];
+        return {
+            logic: criteria?.logic === 'OR' ? 'OR' : 'AND',
+            groups: groups.map(group => ({
+                logic: group?.logic === 'OR' ? 'OR' : 'AND',
+                conditions: (Array.isArray(group?.conditions) ? group.conditions : []).map(condition => ({
+                    field: condition?.field || '',
+                    operator: condition?.operator || 'equals',
+                    value: condition?.value || ''
+                }))
+            }))
+        };
+    }
+
+    newFilterCondition() {
+        return { field: '', operator: 'equals', value: '' };
+    }
+
+    handleAddFilterGroup() {
+        this.filterCriteria.groups.push({ logic: 'AND', conditions: [this.newFilterCondition()] });
+        this.dispatchFilterCriteriaChange();
+    }
+
+    handleRemoveFilterGroup(e) {
+        const groupIndex = Number(e.currentTarget.dataset.groupIndex);
+        this.filterCriteria.groups.splice(groupIndex, 1);
+        this.dispatchFilterCriteriaChange();
+    }
+
+    handleAddFilterCondition(e) {
+        const groupIndex = Number(e.currentTarget.dataset.groupIndex);
+        this.filterCriteria.groups[groupIndex].conditions.push(this.newFilterCondition());
+        this.dispatchFilterCriteriaChange();
+    }
+
+    handleRemoveFilterCondition(e) {
+        const groupIndex = Number(e.currentTarget.dataset.groupIndex);
+        const conditionIndex = Number(e.currentTarget.dataset.conditionIndex);
+        const conditions = this.filterCriteria.groups[groupIndex].conditions;
+        conditions.splice(conditionIndex, 1);
+
+        // A group without conditions has nothing left to edit
+        if (conditions.length === 0) {
+            this.filterCriteria.groups.splice(groupIndex, 1);
+        }
+        this.dispatchFilterCriteriaChange();
+    }
+
+    handleFilterConditionChange(e) {
+        try {
+            const { groupIndex, conditionIndex, prop } = e.target.dataset;
+            const condition = this.filterCriteria.groups[Number(groupIndex)].conditions[Number(conditionIndex)];
+            const newValue = e.target.value || '';
+
+            if (condition[prop] !== newValue) {
+                condition[prop] = prop === 'field' ? newValue.trim() : newValue;
+                if (prop === 'operator' && VALUELESS_FILTER_OPERATORS.includes(newValue)) {
+                    condition.value = '';
+                }
+                this.dispatchFilterCriteriaChange();
+            }
+        } catch {
+            //console.error('Error in handleFilterConditionChange');
+        }
+    }
+
+    handleFilterGroupLogicChange(e) {
+        const groupIndex = Number(e.target.dataset.groupIndex);
+        this.filterCriteria.groups[groupIndex].logic = this.getEventValue(e);
+        this.dispatchFilterCriteriaChange();
+    }
+
+    handleFilterLogicChange(e) {
+        this.filterCriteria.logic = this.getEventValue(e);
+        this.dispatchFilterCriteriaChange();
+    }
+
+    dispatchFilterCriteriaChange() {
+        let tmpvalueObj = this.getValueObj();
+        if (this.filterCriteria.groups.length > 0) {
+            tmpvalueObj.filterCriteria = JSON.parse(JSON.stringify(this.filterCriteria));
+        } else {
+            delete tmpvalueObj.filterCriteria;
+        }
+
+        this._value = JSON.stringify(tmpvalueObj);
+        this.dispatchEvent(new CustomEvent("valuechange",
+            {detail: {value: this._value}}));
+    }
+
+    // ===== MASS ACTIONS EDITOR =====
+
+    get massActionRows() {
+        return this.massActions.map((action, index) => ({
+            ...action,
+            key: `mass-action-${index}`,
+            index: index,
+            isFlow: action.type === 'flow'
+        }));
+    }
+
+    normalizeMassActions(actions) {
+        return (Array.isArray(actions) ? actions : []).map(action => ({
+            label: action?.label || '',
+            name: action?.name || '',
+            type: action?.type === 'event' ? 'event' : 'flow',
+            flowApiName: action?.flowApiName || ''
+        }));
+    }
+
+    handleAddMassAction() {
+        this.massActions.push({ label: '', name: '', type: 'flow', flowApiName: '' });
+        this.dispatchMassActionsChange();
+    }
+
+    handleRemoveMassAction(e) {
+        this.massActions.splice(Number(e.currentTarget.dataset.index), 1);
+        this.dispatchMassActionsChange();
+    }
+
+    handleMassActionChange(e) {
+        try {
+            const { index, prop } = e.target.dataset;
+            const action = this.massActions[Number(index)];
+            const newValue = (e.target.value || '').trim();
+
+            if (action[prop] !== newValue) {
+                action[prop] = newValue;
+                this.dispatchMassActionsChange();
+            }
+        } catch {
+            //console.error('Error in handleMassActionChange');
+        }
+    }
+
+    dispatchMassActionsChange() {
+        let tmpvalueObj = this.getValueObj();
+        if (this.massActions.length > 0) {
+            tmpvalueObj.massActions = JSON.parse(JSON.stringify(this.massActions));
+        } else {
+            delete tmpvalueObj.massActions;
+        }
+
+        this._value = JSON.stringify(tmpvalueObj);
+        this.dispatchEvent(new CustomEvent("valuechange",
+            {detail: {value: this._value}}));
+    }
+
+    // ===== AGGREGATES EDITOR =====
+
+    get aggregateRows() {
+        return this.aggregates.map((aggregate, index) => ({
+            ...aggregate,
+            key: `aggregate-${index}`,
+            index: index
+        }));
+    }
+
+    normalizeAggregates(aggregates) {
+        return (Array.isArray(aggregates) ? aggregates : []).map(aggregate => ({
+            field: aggregate?.field || '',
+            function: AGGREGATE_FUNCTION_OPTIONS.some(option => option.value === aggregate?.function) ? aggregate.function : 'sum',
+            label: aggregate?.label || ''
+        }));
+    }
+
+    handleAddAggregate() {
+        this.aggregates.push({ field: '', function: 'sum', label: '' });
+        this.dispatchAggregatesChange();
+    }
+
+    handleRemoveAggregate(e) {
+        this.aggregates.splice(Number(e.currentTarget.dataset.index), 1);
+        this.dispatchAggregatesChange();
+    }
+
+    handleAggregateChange(e) {
+        try {
+            const { index, prop } = e.target.dataset;
+            const aggregate = this.aggregates[Number(index)];
+            const newValue = (e.target.value || '').trim();
+
+            if (aggregate[prop] !== newValue) {
+                aggregate[prop] = newValue;
+                this.dispatchAggregatesChange();
+            }
+        } catch {
+            //console.error('Error in handleAggregateChange');
+        }
+    }
+
+    dispatchAggregatesChange() {
+        let tmpvalueObj = this.getValueObj();
+        if (this.aggregates.length > 0) {
+            tmpvalueObj.aggregates = JSON.parse(JSON.stringify(this.aggregates));
+        } else {
+            delete tmpvalueObj.aggregates;
+        }
+
+        this._value = JSON.stringify(tmpvalueObj);
+        this.dispatchEvent(new CustomEvent("valuechange",
+            {detail: {value: this._value}}));
+    }
+
+    // ===== COLUMNS EDITOR =====
+
+    get columnRows() {
+        const lastIndex = this.columns.length - 1;
+        return this.columns.map((column, index) => ({
+            ...column,
+            key: `column-${index}`,
+            index: index,
+            isFirst: index === 0,
+            isLast: index === lastIndex
+        }));
+    }
+
+    normalizeColumns(columns) {
+        return (Array.isArray(columns) ? columns : []).map(column => ({
+            field: column?.field || '',
+            label: column?.label || '',
+            width: column?.width || '',
+            alignment: COLUMN_ALIGNMENT_OPTIONS.some(option => option.value === column?.alignment) ? column.alignment : '',
+            wrap: column?.wrap !== false,
+            sortable: column?.sortable !== false,
+            type: COLUMN_TYPE_OPTIONS.some(option => option.value === column?.type) ? column.type : '',
+            hideOnMobile: column?.hideOnMobile === true
+        }));
+    }
+
+    // enabledFields and fieldNames lined up by position
+    migrateColumns(valueObj) {
+        const labels = (valueObj.fieldNames || '').split(',');
+        return (valueObj.enabledFields || '')
+            .split(',')
+            .map((field, index) => ({ field: field.trim(), label: (labels[index] || '').trim() }))
+            .filter(column => column.field !== '');
+    }
+
+    handleAddColumn() {
+        this.columns.push({
+            field: '',
+            label: '',
+            width: '',
+            alignment: '',
+            wrap: true,
+            sortable: true,
+            type: '',
+            hideOnMobile: false
+        });
+        this.dispatchColumnsChange();
+    }
+
+    handleRemoveColumn(e) {
+        this.columns.splice(Number(e.currentTarget.dataset.index), 1);
+        this.dispatchColumnsChange();
+    }
+
+    handleColumnChange(e) {
+        try {
+            const { index, prop } = e.target.dataset;
+            const column = this.columns[Number(index)];
+            const isCheckbox = prop === 'wrap' || prop === 'sortable' || prop === 'hideOnMobile';
+            let newValue = isCheckbox ? e.target.checked : (e.target.value || '').trim();
+            if (prop === 'width') {
+                newValue = newValue !== '' ? parseInt(newValue, 10) : '';
+            }
+
+            if (column[prop] !== newValue) {
+                column[prop] = newValue;
+                this.dispatchColumnsChange();
+            }
+        } catch {
+            //console.error('Error in handleColumnChange');
+        }
+    }
+
+    handleMoveColumnUp(e) {
+        const index = Number(e.currentTarget.dataset.index);
+        this.moveColumn(index, index - 1);
+    }
+
+    handleMoveColumnDown(e) {
+        const index = Number(e.currentTarget.dataset.index);
+        this.moveColumn(index, index + 1);
+    }
+
+    handleColumnDragStart(e) {
+        this._dragColumnIndex = Number(e.currentTarget.dataset.index);
+        e.dataTransfer.effectAllowed = 'move';
+        // Firefox only starts a drag that carries data
+        e.dataTransfer.setData('text/plain', String(this._dragColumnIndex));
+    }
+
+    handleColumnDragOver(e) {
+        if (this._dragColumnIndex !== null) {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        }
+    }
+
+    handleColumnDrop(e) {
+        e.preventDefault();
+        if (this._dragColumnIndex !== null) {
+            this.moveColumn(this._dragColumnIndex, Number(e.currentTarget.dataset.index));
+        }
+        this._dragColumnIndex = null;
+    }
+
+    handleColumnDragEnd() {
+        this._dragColumnIndex = null;
+    }
+
+    moveColumn(fromIndex, toIndex) {
+        if (fromIndex === toIndex || toIndex < 0 || toIndex >= this.columns.length) {
+            return;
+        }
+        const [column] = this.columns.splice(fromIndex, 1);
+        this.columns.splice(toIndex, 0, column);
+        this.dispatchColumnsChange();
+    }
+
+    dispatchColumnsChange() {
+        let tmpvalueObj = this.getValueObj();
+        if (this.columns.length > 0) {
+            tmpvalueObj.columns = JSON.parse(JSON.stringify(this.columns));
+        } else {
+            delete tmpvalueObj.columns;
+        }
+
+        this._value = JSON.stringify(tmpvalueObj);
+        this.dispatchEvent(new CustomEvent("valuechange",
+            {detail: {value: this._value}}));
+    }
+
+    // ===== FORMATTING RULES EDITOR =====
+
+    get formattingRuleRows() {
+        return this.formattingRules.map((rule, index) => ({
+            ...rule,
+            key: `formatting-rule-${index}`,
+            index: index,
+            needsValue: !VALUELESS_FILTER_OPERATORS.includes(rule.operator)
+        }));
+    }
+
+    normalizeFormattingRules(rules) {
+        return (Array.isArray(rules) ? rules : []).map(rule => ({
+            field: rule?.field || '',
+            operator: FORMATTING_OPERATOR_OPTIONS.some(option => option.value === rule?.operator) ? rule.operator : 'equals',
+            value: rule?.value || '',
+            target: rule?.target === 'row' ? 'row' : 'cell',
+            textColor: rule?.textColor || '',
+            backgroundColor: rule?.backgroundColor || '',
+            iconName: rule?.iconName || '',
+            badge: rule?.badge === true
+        }));
+    }
+
+    handleAddFormattingRule() {
+        this.formattingRules.push({
+            field: '',
+            operator: 'equals',
+            value: '',
+            target: 'cell',
+            textColor: '',
+            backgroundColor: '',
+            iconName: '',
+            badge: false
+        });
+        this.dispatchFormattingRulesChange();
+    }
+
+    handleRemoveFormattingRule(e) {
+        this.formattingRules.splice(Number(e.currentTarget.dataset.index), 1);
+        this.dispatchFormattingRulesChange();
+    }
+
+    handleFormattingRuleChange(e) {
+        try {
+            const { index, prop } = e.target.dataset;
+            const rule = this.formattingRules[Number(index)];
+            const newValue = prop === 'badge' ? e.target.checked : (e.target.value || '').trim();
+
+            if (rule[prop] !== newValue) {
+                rule[prop] = newValue;
+                if (prop === 'operator' && VALUELESS_FILTER_OPERATORS.includes(newValue)) {
+                    rule.value = '';
+                }
+                this.dispatchFormattingRulesChange();
+            }
+        } catch {
+            //console.error('Error in handleFormattingRuleChange');
+        }
+    }
+
+    dispatchFormattingRulesChange() {
+        let tmpvalueObj = this.getValueObj();
+        if (this.formattingRules.length > 0) {
+            tmpvalueObj.formattingRules = JSON.parse(JSON.stringify(this.formattingRules));
+        } else {
+            delete tmpvalueObj.formattingRules;
+        }
+
+        this._value = JSON.stringify(tmpvalueObj);
+        this.dispatchEvent(new CustomEvent("valuechange",
+            {detail: {value: this._value}}));
+    }
+
+    // ===== ROW ACTIONS EDITOR =====
+
+    get rowActionRows() {
+        return this.rowActions.map((action, index) => ({
+            ...action,
+            key: `row-action-${index}`,
+            index: index,
+            isUrl: action.type === 'url',
+            isFlow: action.type === 'flow',
+            needsConditionValue: !VALUELESS_FILTER_OPERATORS.includes(action.conditionOperator)
+        }));
+    }
+
+    normalizeRowActions(actions) {
+        return (Array.isArray(actions) ? actions : []).map(action => ({
+            label: action?.label || '',
+            type: ROW_ACTION_TYPE_OPTIONS.some(option => option.value === action?.type) ? action.type : 'edit',
+            url: action?.url || '',
+            flowApiName: action?.flowApiName || '',
+            conditionField: action?.conditionField || '',
+            conditionOperator: action?.conditionOperator || 'equals',
+            conditionValue: action?.conditionValue || ''
+        }));
+    }
+
+    handleAddRowAction() {
+        this.rowActions.push({
+            label: '',
+            type: 'edit',
+            url: '',
+            flowApiName: '',
+            conditionField: '',
+            conditionOperator: 'equals',
+            conditionValue: ''
+        });
+        this.dispatchRowActionsChange();
+    }
+
+    handleRemoveRowAction(e) {
+        this.rowActions.splice(Number(e.currentTarget.dataset.index), 1);
+        this.dispatchRowActionsChange();
+    }
+
+    handleRowActionChange(e) {
+        try {
+            const { index, prop } = e.target.dataset;
+            const action = this.rowActions[Number(index)];
+            const newValue = (e.target.value || '').trim();
+
+            if (action[prop] !== newValue) {
+                action[prop] = newValue;
+                if (prop === 'conditionOperator' && VALUELESS_FILTER_OPERATORS.includes(newValue)) {
+                    action.conditionValue = '';
+                }
+                this.dispatchRowActionsChange();
+            }
+        } catch {
+            //console.error('Error in handleRowActionChange');
+        }
+    }
+
+    dispatchRowActionsChange() {
+        let tmpvalueObj = this.getValueObj();
+        if (this.rowActions.length > 0) {
+            tmpvalueObj.rowActions = JSON.parse(JSON.stringify(this.rowActions));
+        } else {
+            delete tmpvalueObj.rowActions;
+        }
+
+        this._value = JSON.stringify(tmpvalueObj);
+        this.dispatchEvent(new CustomEvent("valuechange",
+            {detail: {value: this._value}}));
+    }
+
     getValueObj() {
         try {
             return (this.isStringEmpty(this.value)) ? {} : JSON.parse(this.value);